@@ -1,19 +1,103 @@
-const { Client, Events, GatewayIntentBits, Partials } = require('discord.js');
+const {
+  Client,
+  Events,
+  GatewayIntentBits,
+  MessageFlags,
+  Partials,
+  PermissionFlagsBits,
+} = require('discord.js');
 const {
   joinVoiceChannel,
   entersState,
   VoiceConnectionStatus,
-  getVoiceConnection,
 } = require('@discordjs/voice');
 const path = require('path');
 const { AudioCaptureManager } = require('./recording/audioCapture');
+const { VoiceWorkerPool } = require('./recording/voiceWorkerPool');
+const {
+  RECORD_COMMAND_NAME,
+  commands: recordCommands,
+  parseMentionCommand,
+} = require('./commands/recordCommand');
+const {
+  SETTINGS_COMMAND_NAME,
+  SETTING_OPTIONS,
+  commands: settingsCommands,
+} = require('./commands/settingsCommand');
+const { createMessageContext, createInteractionContext } = require('./commands/commandContext');
+const {
+  CONSENT_OPT_OUT_ID,
+  CONSENT_OPT_IN_ID,
+  buildConsentMessage,
+} = require('./commands/consentPrompt');
+const { buildResultMessage } = require('./commands/resultMessage');
 const { mixSessionAudio } = require('./recording/mixdown');
+const { normalizeMixdownFormat } = require('./recording/audioFormats');
 const { TranscriptionClient } = require('./transcription/transcriptionClient');
+const { LiveTranscriber } = require('./transcription/liveTranscriber');
 const { SummaryClient } = require('./summary/summaryClient');
+const { ProcessingQueue, JOB_STATUS } = require('./processing/processingQueue');
+const { SessionReprocessor } = require('./processing/sessionReprocessor');
+const { RetentionScheduler } = require('./recording/retention');
+const {
+  describeGuildSettings,
+  isAllowedTranscriptionUrl,
+  resolveGuildSettings,
+  validateGuildSetting,
+} = require('./settings/guildSettings');
+
+const commands = [...recordCommands, ...settingsCommands];
+
+function countHumans(channel) {
+  return channel?.members?.filter((member) => !member.user.bot).size ?? 0;
+}
+
+// Event types for one member's voice state change, relative to the channel
+// being recorded. `oldState` is null for members already present at the start.
+function describeVoiceStateChange(oldState, newState, channelId) {
+  const wasPresent = oldState?.channelId === channelId;
+  const isPresent = newState?.channelId === channelId;
+  if (!wasPresent && isPresent) {
+    return [
+      'join',
+      ...(newState.mute ? ['mute'] : []),
+      ...(newState.deaf ? ['deafen'] : []),
+    ];
+  }
+  if (wasPresent && !isPresent) {
+    return ['leave'];
+  }
+  if (!isPresent) {
+    return [];
+  }
+
+  const types = [];
+  if (Boolean(oldState.mute) !== Boolean(newState.mute)) {
+    types.push(newState.mute ? 'mute' : 'unmute');
+  }
+  if (Boolean(oldState.deaf) !== Boolean(newState.deaf)) {
+    types.push(newState.deaf ? 'deafen' : 'undeafen');
+  }
+  return types;
+}
 
 class CallTranscribeBot {
-  constructor({ token, recordingRoot, transcriptionConfig, summaryConfig, database }) {
+  constructor({
+    token,
+    recordingRoot,
+    transcriptionConfig,
+    summaryConfig,
+    processingConfig,
+    database,
+    liveTranscription,
+    audioConfig,
+    retentionConfig,
+    autoRecordConfig,
+    commandGuildId,
+    workerTokens,
+  }) {
     this.token = token;
+    this.commandGuildId = commandGuildId?.trim() || null;
     this.recordingRoot = recordingRoot;
     this.client = new Client({
       intents: [
@@ -26,23 +110,124 @@ class CallTranscribeBot {
       partials: [Partials.Channel],
     });
 
-    this.captureManager = new AudioCaptureManager({ baseDir: this.recordingRoot });
-    this.transcriptionClient = new TranscriptionClient(transcriptionConfig);
+    this.captureManager = new AudioCaptureManager({
+      baseDir: this.recordingRoot,
+      format: audioConfig?.recordingFormat,
+    });
+    this.mixdownFormat = normalizeMixdownFormat(audioConfig?.mixdownFormat);
+    this.transcriptionConfig = transcriptionConfig ?? {};
+    this.allowedTranscriptionHosts = this.transcriptionConfig.allowedHosts ?? [];
+    this.transcriptionClient = new TranscriptionClient(this.transcriptionConfig);
+    this.guildTranscriptionClients = new Map();
     this.summaryClient = new SummaryClient(summaryConfig);
-    this.connections = new Map();
-    this.sessionMetadata = new Map();
+    this.workerPool = new VoiceWorkerPool({ primaryClient: this.client, tokens: workerTokens });
+    // Recordings in progress by session id: { sessionId, guildId, channelId,
+    // worker, connection, metadata }.
+    this.activeSessions = new Map();
+    this.autoJoinChannelIds = new Set(autoRecordConfig?.channelIds ?? []);
+    this.autoJoinMinMembers = Math.max(1, autoRecordConfig?.minMembers || 2);
+    this.autoLeaveGraceMs = Number.isFinite(autoRecordConfig?.leaveGraceMs)
+      ? Math.max(0, autoRecordConfig.leaveGraceMs)
+      : 120_000;
+    this.autoLeaveTimers = new Map();
+    this.pendingAutoJoins = new Set();
     this.database = database ?? null;
+    this.liveTranscriber = new LiveTranscriber({
+      transcriptionClient: this.transcriptionClient,
+      database: this.database,
+      recordingRoot: this.recordingRoot,
+      enabled: liveTranscription,
+    });
+    this.processingQueue = new ProcessingQueue({
+      database: this.database,
+      steps: this._buildProcessingSteps(),
+      maxAttempts: processingConfig?.maxAttempts,
+      retryDelayMs: processingConfig?.retryDelayMs,
+      retentionDays: processingConfig?.retentionDays,
+    });
+    this.retention = new RetentionScheduler({
+      database: this.database,
+      recordingRoot: this.recordingRoot,
+      audioRetentionDays: retentionConfig?.audioDays,
+      deleteRawAfterTranscription: retentionConfig?.deleteRawAfterTranscription,
+      isSessionBusy: (guildId, sessionId) => this._isSessionBusy(guildId, sessionId),
+    });
+    this.reprocessor = this.database
+      ? new SessionReprocessor({
+          database: this.database,
+          recordingRoot: this.recordingRoot,
+          getTranscriptionClient: (settings) => this._getTranscriptionClient(settings),
+          summarize: (input) => this._summarizeTranscription(input),
+          isSessionBusy: (guildId, sessionId) => this._isSessionBusy(guildId, sessionId),
+        })
+      : null;
 
     this._registerEventHandlers();
   }
 
   async login() {
-    return this.client.login(this.token);
+    await this.client.login(this.token);
+    await this.workerPool.login();
   }
 
   _registerEventHandlers() {
     this.client.once(Events.ClientReady, (client) => {
       console.log(`Logged in as ${client.user.tag}`);
+      this._registerCommands(client).catch((error) => {
+        console.error('Failed to register application commands:', error);
+      });
+      this._finishAbandonedLiveSessions();
+      this._resumeProcessingJobs().catch((error) => {
+        console.error('Failed to resume processing jobs:', error);
+      });
+      this.retention.start();
+    });
+
+    this.client.on(Events.InteractionCreate, async (interaction) => {
+      if (interaction.isButton() && [CONSENT_OPT_OUT_ID, CONSENT_OPT_IN_ID].includes(interaction.customId)) {
+        let context = null;
+        try {
+          context = await createInteractionContext(interaction);
+          await this._handleConsentChange(context, interaction.customId === CONSENT_OPT_OUT_ID);
+        } catch (error) {
+          console.error('Failed to handle recording consent button:', error);
+          await this._replyWithError(context);
+        }
+        return;
+      }
+      if (!interaction.isChatInputCommand()) {
+        return;
+      }
+      if (![RECORD_COMMAND_NAME, SETTINGS_COMMAND_NAME].includes(interaction.commandName)) {
+        return;
+      }
+
+      if (!interaction.inCachedGuild()) {
+        await interaction.reply({ content: 'Recording commands only work inside a server.', flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      let context = null;
+      try {
+        context = await createInteractionContext(interaction);
+        if (interaction.commandName === SETTINGS_COMMAND_NAME) {
+          await this._handleSettingsCommand(interaction, context);
+          return;
+        }
+        await this._dispatchCommand(interaction.options.getSubcommand(), context, {
+          channel: interaction.options.getChannel('channel'),
+          template: interaction.options.getString('template'),
+        });
+      } catch (error) {
+        console.error(`Failed to handle /${interaction.commandName} command:`, error);
+        await this._replyWithError(context);
+      }
+    });
+
+    this.client.on(Events.VoiceStateUpdate, (oldState, newState) => {
+      this._handleVoiceStateUpdate(oldState, newState).catch((error) => {
+        console.error('Failed to handle voice state update:', error);
+      });
     });
 
     this.client.on(Events.MessageCreate, async (message) => {
@@ -56,57 +241,131 @@ class CallTranscribeBot {
         return;
       }
 
-      const lowered = message.content.toLowerCase();
-      if (lowered.includes('leave') || lowered.includes('stop') || lowered.includes('done')) {
-        await this._handleStopRequest(message);
-      } else {
-        await this._handleJoinRequest(message);
+      try {
+        await this._dispatchCommand(parseMentionCommand(message.content), createMessageContext(message));
+      } catch (error) {
+        console.error('Failed to handle mention command:', error);
       }
     });
   }
 
-  async _handleJoinRequest(message) {
-    const voiceChannel = message.member?.voice?.channel;
+  // Without this a deferred interaction stays on "thinking…" until it expires.
+  async _replyWithError(context) {
+    try {
+      await context?.reply('Something went wrong while handling that command. Check the bot logs for details.');
+    } catch (error) {
+      console.error('Failed to report a command error:', error);
+    }
+  }
+
+  async _registerCommands(client) {
+    if (this.commandGuildId) {
+      const guild = await client.guilds.fetch(this.commandGuildId);
+      await guild.commands.set(commands);
+      console.log(`Registered ${commands.length} application command(s) in guild ${guild.id}`);
+      return;
+    }
+
+    await client.application.commands.set(commands);
+    console.log(`Registered ${commands.length} global application command(s)`);
+  }
+
+  async _dispatchCommand(command, context, options = {}) {
+    switch (command) {
+      case 'start':
+        return this._handleJoinRequest(context, options);
+      case 'stop':
+        return this._handleStopRequest(context, options);
+      case 'status':
+        return this._handleStatusRequest(context);
+      case 'pause':
+        return this._handlePauseRequest(context, true, options);
+      case 'resume':
+        return this._handlePauseRequest(context, false, options);
+      case 'opt-out':
+        return this._handleConsentChange(context, true);
+      case 'opt-in':
+        return this._handleConsentChange(context, false);
+      default:
+        return context.reply(`Unknown command: ${command}`);
+    }
+  }
+
+  async _handleJoinRequest(context, { channel, template } = {}) {
+    const { guild } = context;
+    const voiceChannel = channel ?? context.member?.voice?.channel;
     if (!voiceChannel) {
-      await message.reply('Join a voice channel before mentioning me so I know where to go.');
+      await context.reply('Join a voice channel (or pick one with `/record start channel:`) so I know where to go.');
+      return;
+    }
+    if (!voiceChannel.isVoiceBased()) {
+      await context.reply(`${voiceChannel.name} is not a voice channel.`);
+      return;
+    }
+
+    if (this._findActiveSession(guild.id, voiceChannel.id)) {
+      await context.reply(`I am already recording ${voiceChannel.name}. Use \`/record stop\` when you want me to stop.`);
       return;
     }
 
-    const existingConnection = this.connections.get(message.guild.id);
-    if (existingConnection) {
-      await message.reply('I am already connected and recording. Mention me with "leave" when you want me to stop.');
+    // Discord allows one voice connection per bot and server, so each
+    // recording gets a bot account of its own from the pool.
+    const worker = this.workerPool.acquire(guild.id);
+    if (!worker) {
+      await context.reply(this.workerPool.countInGuild(guild.id) > 1
+        ? 'All recorder bots in this server are busy. Stop another recording or invite more workers.'
+        : 'I am already recording another channel in this server. Use `/record stop` there first.');
       return;
     }
 
+    let connection = null;
+    let sessionId = null;
     try {
-      const connection = joinVoiceChannel({
+      connection = joinVoiceChannel({
         channelId: voiceChannel.id,
-        guildId: voiceChannel.guild.id,
-        adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+        guildId: guild.id,
+        adapterCreator: worker.client.guilds.cache.get(guild.id).voiceAdapterCreator,
+        group: worker.id,
         selfDeaf: false,
         selfMute: false,
       });
 
       await entersState(connection, VoiceConnectionStatus.Ready, 20_000);
-      this.connections.set(message.guild.id, connection);
 
-      const participants = Array.from(voiceChannel.members.values()).map((member) => ({
+      const members = Array.from(voiceChannel.members.values())
+        .filter((member) => !this.workerPool.isWorkerUser(member.id));
+      const participants = members.map((member) => ({
         userId: member.id,
         displayName: member.displayName ?? member.user?.username ?? member.user?.tag ?? member.id,
         joinedAt: Date.now(),
       }));
 
-      this.sessionMetadata.set(message.guild.id, {
-        guildId: message.guild.id,
-        guildName: message.guild.name,
+      const startedAt = Date.now();
+      const participantEvents = [];
+      for (const member of members) {
+        participantEvents.push(...describeVoiceStateChange(null, member.voice, voiceChannel.id)
+          .map((type) => ({ userId: member.id, displayName: member.displayName, type, occurredAt: startedAt })));
+      }
+
+      // Settings are captured at join time so later changes only affect new
+      // recordings, and so resumed jobs use the same configuration.
+      const settings = resolveGuildSettings(this.database, guild.id);
+      if (template) {
+        settings.summaryTemplate = template;
+      }
+      const metadata = {
+        guildId: guild.id,
+        guildName: guild.name,
         channelId: voiceChannel.id,
         channelName: voiceChannel.name,
-        startedAt: Date.now(),
+        startedAt,
         participants,
-      });
+        participantEvents,
+        settings,
+      };
 
       const resolveLabel = (userId) => {
-        const member = message.guild.members.cache.get(userId);
+        const member = guild.members.cache.get(userId);
         if (member) {
           return member.displayName;
         }
@@ -114,59 +373,74 @@ class CallTranscribeBot {
         return user ? user.tag : userId;
       };
 
-      await this.captureManager.start(connection, message.guild.id, { resolveLabel });
-      await message.reply(`Joined ${voiceChannel.name} and started recording. Mention me with "leave" when you want me to stop.`);
+      const captureSession = await this.captureManager.start(connection, guild.id, {
+        resolveLabel,
+        isUserExcluded: (userId) => Boolean(this.database?.isRecordingOptedOut(userId)),
+        onBurstComplete: (burst) => {
+          this.liveTranscriber.handleBurst(captureSession.sessionId, burst);
+        },
+      });
+      sessionId = captureSession.sessionId;
+      const active = {
+        sessionId,
+        guildId: guild.id,
+        channelId: voiceChannel.id,
+        worker,
+        connection,
+        metadata,
+      };
+      this.activeSessions.set(sessionId, active);
+
+      this.liveTranscriber.startSession({
+        id: sessionId,
+        guildId: guild.id,
+        guildName: guild.name,
+        channelId: voiceChannel.id,
+        channelName: voiceChannel.name,
+        startedAt,
+      }, {
+        transcriptionClient: this._getTranscriptionClient(settings),
+      });
+
+      await context.reply(`Joined ${voiceChannel.name} and started recording. Use \`/record stop\` when you want me to stop.`);
+      await this._announceRecordingConsent(voiceChannel, context);
+      this._updateAutoLeaveTimer(guild, active);
 
       connection.on('error', (error) => {
         console.error('Voice connection error:', error);
       });
 
       const teardown = async (label) => {
-        // Check if this connection is still registered - if not, it means
-        // _handleStopRequest is handling the cleanup and we should skip
-        if (!this.connections.has(message.guild.id)) {
+        // Check if this session is still registered - if not, it means
+        // _stopSession is handling the cleanup and we should skip
+        if (this.activeSessions.get(sessionId) !== active) {
           return;
         }
 
-        console.log(`Voice connection ${label} in guild ${message.guild.id}`);
-        this.connections.delete(message.guild.id);
+        console.log(`Voice connection ${label} for session ${sessionId} in guild ${guild.id}`);
+        this._releaseActiveSession(active);
 
-        const manifest = await this.captureManager.stop(message.guild.id);
+        const manifest = await this.captureManager.stop(sessionId);
         if (!manifest) {
           return;
         }
 
         // Connection was lost unexpectedly, still attempt to transcribe
+        const notifyChannelId = metadata.settings?.announceChannelId ?? null;
         try {
-          const metadata = this.sessionMetadata.get(message.guild.id);
-          const mixdownPath = await mixSessionAudio({ manifest });
-          const transcriptionResult = await this.transcriptionClient.submit(manifest);
-
-          if (transcriptionResult.status === 'sent') {
-            const summaryResult = await this._summarizeTranscription({
-              transcriptionResult,
-              metadata,
-              manifest,
-            });
-
-            if (summaryResult.status === 'summarized' && transcriptionResult.data) {
-              transcriptionResult.data.summary = summaryResult.summary;
-            }
-          }
-
-          await this._persistSession({
-            message,
+          const job = await this._processStoppedSession({
+            guild,
             manifest,
-            transcriptionResult,
             metadata,
-            channelId: connection.joinConfig?.channelId ?? null,
-            mixdownPath,
+            channelId: active.channelId,
+            notifyChannelId,
           });
-
-          this.sessionMetadata.delete(message.guild.id);
+          const announceContext = await this._createChannelContext(notifyChannelId);
+          if (announceContext) {
+            await this._announceProcessingResult(job, announceContext);
+          }
         } catch (error) {
           console.error('Failed to process recording after unexpected disconnect:', error);
-          this.sessionMetadata.delete(message.guild.id);
         }
       };
 
@@ -182,79 +456,622 @@ class CallTranscribeBot {
       });
     } catch (error) {
       console.error('Failed to join voice channel:', error);
-      await message.reply('I could not join the voice channel. Check my permissions and try again.');
+      if (!sessionId || !this.activeSessions.has(sessionId)) {
+        if (sessionId) {
+          await this.captureManager.stop(sessionId).catch(() => null);
+        }
+        if (connection && connection.state.status !== VoiceConnectionStatus.Destroyed) {
+          connection.destroy();
+        }
+        this.workerPool.release(worker, guild.id);
+      }
+      await context.reply('I could not join the voice channel. Check my permissions and try again.');
     }
   }
 
-  async _handleStopRequest(message) {
-    const connection = this.connections.get(message.guild.id) ?? getVoiceConnection(message.guild.id);
-    if (!connection) {
-      await message.reply('I am not in a voice channel right now.');
+  _listActiveSessions(guildId) {
+    return [...this.activeSessions.values()].filter((active) => active.guildId === guildId);
+  }
+
+  _findActiveSession(guildId, channelId) {
+    return this._listActiveSessions(guildId).find((active) => active.channelId === channelId) ?? null;
+  }
+
+  // The recording a command is about: the channel it names, the channel the
+  // caller is in, or the only recording in the server.
+  _resolveActiveSession(context, channel) {
+    const sessions = this._listActiveSessions(context.guild.id);
+    if (channel) {
+      return sessions.find((active) => active.channelId === channel.id) ?? null;
+    }
+    const memberChannelId = context.member?.voice?.channelId;
+    return sessions.find((active) => active.channelId === memberChannelId)
+      ?? (sessions.length === 1 ? sessions[0] : null);
+  }
+
+  async _replyNoActiveSession(context, channel) {
+    if (channel) {
+      await context.reply(`I am not recording ${channel.name} right now.`);
+    } else if (this._listActiveSessions(context.guild.id).length) {
+      await context.reply('I am recording more than one channel here. Join the one you mean or pick it with `channel:`.');
+    } else {
+      await context.reply('I am not in a voice channel right now.');
+    }
+  }
+
+  _releaseActiveSession(active) {
+    this.activeSessions.delete(active.sessionId);
+    this._clearAutoLeaveTimer(active.sessionId);
+    this.workerPool.release(active.worker, active.guildId);
+  }
+
+  async _handleStopRequest(context, { channel } = {}) {
+    const active = this._resolveActiveSession(context, channel);
+    if (!active) {
+      await this._replyNoActiveSession(context, channel);
       return;
     }
+    await this._stopSession(active, context);
+  }
 
-    const channelId = connection.joinConfig?.channelId ?? null;
-    const metadata = this.sessionMetadata.get(message.guild.id);
+  async _stopSession(active, context) {
+    const { guild } = context;
+    if (this.activeSessions.get(active.sessionId) !== active) {
+      await context.reply('That recording has already stopped.');
+      return;
+    }
+
+    const { sessionId, connection, metadata, channelId } = active;
 
-    // Remove from connections first to prevent race with event handlers
-    this.connections.delete(message.guild.id);
+    // Unregister first to prevent race with event handlers
+    this._releaseActiveSession(active);
 
     // Then destroy the connection
     connection.destroy();
 
     // Now stop the capture and get the manifest
-    const manifest = await this.captureManager.stop(message.guild.id);
+    const manifest = await this.captureManager.stop(sessionId);
     if (!manifest) {
-      await message.reply('Stopped listening, but there was nothing recorded.');
-      this.sessionMetadata.delete(message.guild.id);
+      await context.reply('Stopped listening, but there was nothing recorded.');
       return;
     }
 
-    const mixdownPath = await mixSessionAudio({ manifest });
-
-    const transcriptionResult = await this.transcriptionClient.submit(manifest);
-
-    let summaryResult = { status: 'skipped', reason: 'Transcription not completed' };
-    if (transcriptionResult.status === 'sent') {
-      summaryResult = await this._summarizeTranscription({
-        transcriptionResult,
-        metadata,
-        manifest,
-      });
-
-      if (summaryResult.status === 'summarized' && transcriptionResult.data) {
-        transcriptionResult.data.summary = summaryResult.summary;
-      }
-    }
+    const announceChannelId = metadata?.settings?.announceChannelId ?? null;
+    const announceContext = announceChannelId && announceChannelId !== context.channel?.id
+      ? await this._createChannelContext(announceChannelId)
+      : null;
 
-    await this._persistSession({
-      message,
+    const job = await this._processStoppedSession({
+      guild,
       manifest,
-      transcriptionResult,
       metadata,
       channelId,
-      mixdownPath,
+      notifyChannelId: announceContext ? announceChannelId : context.channel?.id ?? null,
     });
 
-    this.sessionMetadata.delete(message.guild.id);
+    if (announceContext) {
+      await this._announceProcessingResult(job, announceContext);
+      await context.reply(`Recording stopped. Results were posted in <#${announceChannelId}>.`);
+      return;
+    }
+    await this._announceProcessingResult(job, context);
+  }
+
+  async _processStoppedSession({ guild, manifest, metadata, channelId, notifyChannelId }) {
+    const sessionId = manifest.sessionId;
+    await this.liveTranscriber.finishSession(sessionId);
 
+    try {
+      return await this.processingQueue.enqueue({
+        sessionId,
+        guildId: guild.id,
+        channelId,
+        notifyChannelId,
+        manifest,
+        metadata,
+      });
+    } finally {
+      this.liveTranscriber.endSession(sessionId);
+    }
+  }
+
+  async _announceProcessingResult(job, context) {
+    if (job.status === JOB_STATUS.FAILED) {
+      await context.reply(`Recording stopped, but processing failed after ${job.attempts} attempt(s): ${job.lastError}`);
+      return;
+    }
+
+    const transcriptionResult = job.transcriptionResult ?? { status: 'failed', reason: 'No transcription result' };
     if (transcriptionResult.status === 'sent') {
       const transcript = transcriptionResult.data?.transcript;
       if (transcript) {
-        const sessionId = manifest.sessionId;
         const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 16384}`).replace(/\/$/, '');
-        const shareUrl = `${baseUrl}/?session=${encodeURIComponent(sessionId)}`;
+        const shareUrl = `${baseUrl}/?session=${encodeURIComponent(job.sessionId)}`;
 
-        await message.reply('Recording stopped. View the transcription and summary here:');
-        await message.channel.send(shareUrl);
+        await context.reply('Recording stopped. Here is the summary and transcript:');
+        await this._postSessionResult(job, context, shareUrl);
       } else {
-        await message.reply('Recording stopped. Transcription service responded without content.');
+        await context.reply('Recording stopped. Transcription service responded without content.');
       }
     } else if (transcriptionResult.status === 'skipped') {
-      await message.reply('Recording stopped. Configure the transcription endpoint to process the audio.');
+      await context.reply('Recording stopped. Configure the transcription endpoint to process the audio.');
+    } else if (transcriptionResult.status === 'silent') {
+      await context.reply('Recording stopped. Nobody could be heard in it, so there was nothing to transcribe.');
     } else if (transcriptionResult.status === 'failed') {
-      await message.reply(`Recording stopped, but I could not reach the transcription service: ${transcriptionResult.reason}`);
+      await context.reply(`Recording stopped, but I could not reach the transcription service: ${transcriptionResult.reason}`);
+    }
+  }
+
+  async _postSessionResult(job, context, shareUrl) {
+    const summaryResult = job.summaryResult;
+    const summaryNote = summaryResult && summaryResult.status !== 'summarized'
+      ? `No summary: ${summaryResult.reason ?? summaryResult.status}.`
+      : null;
+    const { message, overflow, threadName } = buildResultMessage({
+      detail: this._getResultDetail(job),
+      shareUrl,
+      summaryNote,
+    });
+
+    const posted = await context.send(message);
+    let target = context;
+    if (job.metadata?.settings?.resultThread && typeof posted?.startThread === 'function') {
+      try {
+        const thread = await posted.startThread({ name: threadName });
+        target = { send: (content) => thread.send(content) };
+      } catch (error) {
+        console.warn(`Failed to open a discussion thread for session ${job.sessionId}:`, error);
+      }
     }
+    for (const part of overflow) {
+      await target.send(part);
+    }
+  }
+
+  // The saved session when there is a database, otherwise the same shape
+  // rebuilt from the job.
+  _getResultDetail(job) {
+    const stored = this.database?.getSessionDetail(job.sessionId);
+    if (stored) {
+      return stored;
+    }
+    const data = job.transcriptionResult?.data ?? {};
+    const metadata = job.metadata ?? {};
+    return {
+      session: {
+        id: job.sessionId,
+        guildName: metadata.guildName ?? null,
+        channelName: metadata.channelName ?? null,
+        startedAt: metadata.startedAt ?? null,
+        endedAt: job.updatedAt ?? null,
+        summary: data.summary ?? null,
+        transcript: data.transcript ?? null,
+      },
+      participants: metadata.participants ?? [],
+      segments: data.segments ?? [],
+      pauses: job.manifest?.pauses ?? [],
+    };
+  }
+
+  _buildProcessingSteps() {
+    return {
+      [JOB_STATUS.MIXING]: {
+        next: JOB_STATUS.TRANSCRIBING,
+        run: async (job) => ({
+          mixdownPath: await mixSessionAudio({ manifest: job.manifest, format: this.mixdownFormat }),
+        }),
+        fallback: () => ({ mixdownPath: null }),
+      },
+      [JOB_STATUS.TRANSCRIBING]: {
+        next: JOB_STATUS.SUMMARIZING,
+        run: async (job) => {
+          const transcriptionClient = this._getTranscriptionClient(job.metadata?.settings);
+          const transcriptionResult = await transcriptionClient.submit(job.manifest);
+          if (transcriptionResult.status === 'failed') {
+            throw new Error(transcriptionResult.reason);
+          }
+          return { transcriptionResult };
+        },
+        fallback: (job, error) => ({
+          transcriptionResult: { status: 'failed', reason: error.message },
+        }),
+      },
+      [JOB_STATUS.SUMMARIZING]: {
+        next: JOB_STATUS.SAVING,
+        run: async (job) => {
+          if (job.transcriptionResult?.status !== 'sent') {
+            return { summaryResult: { status: 'skipped', reason: 'Transcription not completed' } };
+          }
+          if (job.metadata?.settings?.autoSummary === false) {
+            return { summaryResult: { status: 'skipped', reason: 'Auto-summary is disabled for this server' } };
+          }
+          const summaryResult = await this._summarizeTranscription({
+            transcriptionResult: job.transcriptionResult,
+            metadata: job.metadata,
+            manifest: job.manifest,
+          });
+          if (summaryResult.status === 'failed') {
+            throw new Error(summaryResult.reason);
+          }
+          return { summaryResult };
+        },
+        fallback: (job, error) => ({
+          summaryResult: { status: 'failed', reason: error.message },
+        }),
+      },
+      [JOB_STATUS.SAVING]: {
+        next: JOB_STATUS.SAVED,
+        run: async (job) => {
+          const transcriptionResult = job.transcriptionResult ?? { status: 'failed' };
+          if (job.summaryResult?.status === 'summarized' && transcriptionResult.data) {
+            transcriptionResult.data.summary = job.summaryResult.summary;
+            transcriptionResult.data.structuredSummary = job.summaryResult.structured ?? null;
+          }
+
+          await this._persistSession({
+            guild: this.client.guilds.cache.get(job.guildId) ?? null,
+            manifest: job.manifest,
+            transcriptionResult,
+            metadata: job.metadata,
+            channelId: job.channelId,
+            mixdownPath: job.mixdownPath,
+          });
+
+          if (transcriptionResult.status === 'sent' && job.mixdownPath) {
+            try {
+              await this.retention.deleteRawAudio(job.manifest);
+            } catch (error) {
+              console.warn(`Failed to clean up raw audio for session ${job.sessionId}:`, error);
+            }
+          }
+          return {};
+        },
+      },
+    };
+  }
+
+  _getTranscriptionClient(settings) {
+    let url = settings?.transcriptionUrl ?? null;
+    // Checked again here: the setting may predate the allow list, or the list
+    // may have changed since it was saved.
+    if (url && !isAllowedTranscriptionUrl(url, this.allowedTranscriptionHosts)) {
+      console.warn(`Ignoring transcription endpoint ${url}: its host is not in TRANSCRIPTION_ALLOWED_HOSTS`);
+      url = null;
+    }
+    const language = settings?.language ?? null;
+    if (!url && !language) {
+      return this.transcriptionClient;
+    }
+
+    const key = JSON.stringify([url, language]);
+    let client = this.guildTranscriptionClients.get(key);
+    if (!client) {
+      client = new TranscriptionClient({
+        ...this.transcriptionConfig,
+        url: url ?? this.transcriptionConfig.url,
+        language: language ?? this.transcriptionConfig.language,
+      });
+      this.guildTranscriptionClients.set(key, client);
+    }
+    return client;
+  }
+
+  _isSessionBusy(guildId, sessionId) {
+    if (this.captureManager.get(sessionId)?.guildId === guildId) {
+      return true;
+    }
+    const job = this.database?.getJob(sessionId);
+    return Boolean(job && job.status !== JOB_STATUS.SAVED && job.status !== JOB_STATUS.FAILED);
+  }
+
+  // A crash mid-recording leaves the live session row open forever, shown as
+  // "In progress" in the web UI; close it with what was transcribed so far.
+  _finishAbandonedLiveSessions() {
+    try {
+      const sessions = (this.database?.listAbandonedLiveSessions() ?? [])
+        .filter((session) => !this._isSessionBusy(session.guildId, session.id));
+      for (const session of sessions) {
+        this.database.finishLiveSession(session.id);
+      }
+      if (sessions.length) {
+        console.log(`Closed ${sessions.length} live session(s) left open by a previous run`);
+      }
+    } catch (error) {
+      console.error('Failed to close abandoned live sessions:', error);
+    }
+  }
+
+  async _resumeProcessingJobs() {
+    const jobs = this.processingQueue.listUnfinished();
+    if (!jobs.length) {
+      return;
+    }
+
+    console.log(`Resuming ${jobs.length} unfinished processing job(s)`);
+    for (const pending of jobs) {
+      try {
+        const job = await this.processingQueue.run(pending.sessionId);
+        const context = await this._createChannelContext(job.notifyChannelId);
+        if (context) {
+          await this._announceProcessingResult(job, context);
+        }
+      } catch (error) {
+        console.error(`Failed to resume processing job for session ${pending.sessionId}:`, error);
+      }
+    }
+  }
+
+  async _handleVoiceStateUpdate(oldState, newState) {
+    const guild = newState.guild ?? oldState.guild;
+    if (!guild) {
+      return;
+    }
+
+    const sessions = this._listActiveSessions(guild.id);
+    for (const active of sessions) {
+      this._recordParticipantEvents(active, oldState, newState);
+      this._updateAutoLeaveTimer(guild, active);
+    }
+
+    const channel = newState.channel;
+    if (!channel || !this.autoJoinChannelIds.has(channel.id) || this.pendingAutoJoins.has(channel.id)) {
+      return;
+    }
+    if (sessions.some((active) => active.channelId === channel.id) || !this.workerPool.hasFree(guild.id)) {
+      return;
+    }
+    if (countHumans(channel) < this.autoJoinMinMembers) {
+      return;
+    }
+
+    this.pendingAutoJoins.add(channel.id);
+    try {
+      const context = await this._createAutoRecordContext(guild, channel);
+      await this._handleJoinRequest(context, { channel });
+    } finally {
+      this.pendingAutoJoins.delete(channel.id);
+    }
+  }
+
+  _recordParticipantEvents(active, oldState, newState) {
+    const { metadata } = active;
+    if (!metadata?.participantEvents || this.workerPool.isWorkerUser(newState.id)) {
+      return;
+    }
+
+    const types = describeVoiceStateChange(oldState, newState, metadata.channelId);
+    if (!types.length) {
+      return;
+    }
+
+    const member = newState.member ?? oldState.member;
+    const occurredAt = Date.now();
+    for (const type of types) {
+      metadata.participantEvents.push({
+        userId: newState.id,
+        displayName: member?.displayName ?? newState.id,
+        type,
+        occurredAt,
+      });
+    }
+  }
+
+  _updateAutoLeaveTimer(guild, active) {
+    if (!this.autoLeaveGraceMs) {
+      return;
+    }
+
+    const { sessionId, channelId } = active;
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel || countHumans(channel) > 0) {
+      this._clearAutoLeaveTimer(sessionId);
+      return;
+    }
+    if (this.autoLeaveTimers.has(sessionId)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.autoLeaveTimers.delete(sessionId);
+      if (this.activeSessions.get(sessionId) !== active || countHumans(guild.channels.cache.get(channelId)) > 0) {
+        return;
+      }
+      console.log(`Channel ${channelId} in guild ${guild.id} has been empty; stopping the recording`);
+      this._createAutoRecordContext(guild, channel)
+        .then((context) => this._stopSession(active, context))
+        .catch((error) => {
+          console.error('Failed to stop recording in empty channel:', error);
+        });
+    }, this.autoLeaveGraceMs);
+    this.autoLeaveTimers.set(sessionId, timer);
+  }
+
+  _clearAutoLeaveTimer(sessionId) {
+    const timer = this.autoLeaveTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.autoLeaveTimers.delete(sessionId);
+    }
+  }
+
+  // Nobody ran a command, so talk in the announcement channel or, failing
+  // that, the voice channel's own text chat.
+  async _createAutoRecordContext(guild, voiceChannel) {
+    const { announceChannelId } = resolveGuildSettings(this.database, guild.id);
+    const context = await this._createChannelContext(announceChannelId)
+      ?? await this._createChannelContext(voiceChannel.id);
+    return context ?? {
+      guild,
+      member: null,
+      user: null,
+      channel: null,
+      reply: async () => {},
+      send: async () => {},
+    };
+  }
+
+  async _createChannelContext(channelId) {
+    if (!channelId) {
+      return null;
+    }
+
+    let channel = null;
+    try {
+      channel = await this.client.channels.fetch(channelId);
+    } catch (error) {
+      return null;
+    }
+    if (!channel?.isSendable()) {
+      return null;
+    }
+
+    return {
+      guild: channel.guild ?? null,
+      member: null,
+      user: null,
+      channel,
+      reply: (content) => channel.send(content),
+      send: (content) => channel.send(content),
+    };
+  }
+
+  // Command replies are ephemeral, so post the notice where everyone in the
+  // call can see it: the voice channel's text chat, or the command channel.
+  async _announceRecordingConsent(voiceChannel, context) {
+    const message = buildConsentMessage(voiceChannel.name);
+    try {
+      if (voiceChannel.isSendable()) {
+        await voiceChannel.send(message);
+      } else {
+        await context.send(message);
+      }
+    } catch (error) {
+      console.error('Failed to post recording consent notice:', error);
+    }
+  }
+
+  async _handleConsentChange(context, optedOut) {
+    if (!this.database) {
+      await context.reply('Opting out is unavailable because no database is configured.');
+      return;
+    }
+
+    const userId = context.user.id;
+    this.database.setRecordingOptOut(userId, optedOut);
+    if (!optedOut) {
+      await context.reply('You opted back in. Your voice will be recorded the next time you speak in a recorded call.');
+      return;
+    }
+
+    for (const session of this.captureManager.sessions.values()) {
+      try {
+        await session.excludeUser(userId);
+        this.liveTranscriber.removeUser(session.sessionId, userId);
+      } catch (error) {
+        console.error(`Failed to discard audio for ${userId} in session ${session.sessionId}:`, error);
+      }
+    }
+    await context.reply('You opted out. I will not record your voice in this or any later call, and audio already captured from you in an ongoing recording was discarded. Use `/record opt-in` to undo this.');
+  }
+
+  async _handleStatusRequest(context) {
+    const { guild } = context;
+    const lines = [];
+    for (const { sessionId, metadata } of this._listActiveSessions(guild.id)) {
+      const session = this.captureManager.get(sessionId);
+      if (!session) {
+        continue;
+      }
+      const elapsedMinutes = Math.max(0, Math.round((Date.now() - metadata.startedAt) / 60_000));
+      const speakerCount = session.recordings.size;
+      let line = `Recording ${metadata.channelName} for ${elapsedMinutes} minute(s), ${speakerCount} speaker(s) captured so far.`;
+      if (session.paused) {
+        const pausedMinutes = Math.max(0, Math.round((Date.now() - session.pausedSince) / 60_000));
+        line += ` Paused for the last ${pausedMinutes} minute(s); use \`/record resume\` to continue.`;
+      } else if (session.pauses.length) {
+        const pausedMinutes = Math.max(0, Math.round(session.pausedMs / 60_000));
+        line += ` Paused ${session.pauses.length} time(s) so far, ${pausedMinutes} minute(s) in total.`;
+      }
+      lines.push(line);
+    }
+    if (!lines.length) {
+      await context.reply('I am not recording in this server right now.');
+      return;
+    }
+    await context.reply(lines.join('\n'));
+  }
+
+  // Paused stretches stay in the same session; they are kept in the manifest
+  // and show up as gaps in the mixdown and transcript.
+  async _handlePauseRequest(context, paused, { channel } = {}) {
+    const active = this._resolveActiveSession(context, channel);
+    const session = active ? this.captureManager.get(active.sessionId) : null;
+    if (!session) {
+      await this._replyNoActiveSession(context, channel);
+      return;
+    }
+
+    const { channelName } = active.metadata;
+    if (!session.setPaused(paused)) {
+      await context.reply(paused
+        ? `Recording ${channelName} is already paused. Use \`/record resume\` to continue.`
+        : `Recording ${channelName} is not paused.`);
+      return;
+    }
+    await context.reply(paused
+      ? `Paused recording ${channelName}. I will stay in the channel; use \`/record resume\` to continue.`
+      : `Resumed recording ${channelName}.`);
+  }
+
+  async _handleSettingsCommand(interaction, context) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await context.reply('You need the Manage Server permission to change recording settings.');
+      return;
+    }
+    if (!this.database) {
+      await context.reply('Settings are unavailable because no database is configured.');
+      return;
+    }
+
+    const { guild } = context;
+    const subcommand = interaction.options.getSubcommand();
+    const stored = this.database.getGuildSettings(guild.id) ?? {};
+
+    if (subcommand === 'set') {
+      const updates = {};
+      for (const [optionName, key] of Object.entries(SETTING_OPTIONS)) {
+        const option = interaction.options.get(optionName);
+        if (!option) {
+          continue;
+        }
+        try {
+          updates[key] = validateGuildSetting(key, option.value, {
+            allowedTranscriptionHosts: this.allowedTranscriptionHosts,
+          });
+        } catch (error) {
+          await context.reply(error.message);
+          return;
+        }
+      }
+      if (!Object.keys(updates).length) {
+        await context.reply('Pick at least one setting to change.');
+        return;
+      }
+      this.database.saveGuildSettings({ ...stored, ...updates, guildId: guild.id });
+    } else if (subcommand === 'reset') {
+      const optionName = interaction.options.getString('setting');
+      if (optionName) {
+        this.database.saveGuildSettings({ ...stored, [SETTING_OPTIONS[optionName]]: null, guildId: guild.id });
+      } else {
+        this.database.deleteGuildSettings(guild.id);
+      }
+    }
+
+    const header = subcommand === 'show'
+      ? 'Recording settings for this server:'
+      : 'Settings saved. New recordings will use:';
+    const settings = resolveGuildSettings(this.database, guild.id);
+    await context.reply([header, ...describeGuildSettings(settings)].join('\n'));
   }
 
   async _summarizeTranscription({ transcriptionResult, metadata, manifest }) {
@@ -319,10 +1136,13 @@ class CallTranscribeBot {
       transcript,
       segments,
       sessionMetadata,
+      prompt: metadata?.settings?.summaryPrompt ?? null,
+      template: metadata?.settings?.summaryTemplate ?? null,
+      language: metadata?.settings?.language ?? null,
     });
   }
 
-  async _collectParticipants({ message, metadata, channelId, manifest }) {
+  async _collectParticipants({ guild, metadata, channelId, manifest }) {
     const participantsById = new Map();
     const sessionId = manifest.sessionId;
     let resolvedChannelId = metadata?.channelId ?? channelId ?? null;
@@ -356,12 +1176,20 @@ class CallTranscribeBot {
       }
     }
 
+    // Includes people who joined after the recording started, even if they
+    // already left by the time it stopped.
+    for (const event of metadata?.participantEvents ?? []) {
+      if (event.type === 'join') {
+        addParticipant(event.userId, event.displayName, event.occurredAt);
+      }
+    }
+
     let voiceChannel = null;
-    if (channelId) {
-      voiceChannel = message.guild.channels.cache.get(channelId) ?? null;
+    if (channelId && guild) {
+      voiceChannel = guild.channels.cache.get(channelId) ?? null;
       if (!voiceChannel) {
         try {
-          voiceChannel = await message.guild.channels.fetch(channelId);
+          voiceChannel = await guild.channels.fetch(channelId);
         } catch (error) {
           voiceChannel = null;
         }
@@ -389,70 +1217,80 @@ class CallTranscribeBot {
     };
   }
 
-  async _persistSession({ message, manifest, transcriptionResult, metadata, channelId, mixdownPath }) {
+  async _persistSession({ guild, manifest, transcriptionResult, metadata, channelId, mixdownPath }) {
     if (!this.database) {
       return;
     }
 
-    try {
-      const data = await this._collectParticipants({
-        message,
-        metadata,
-        channelId,
-        manifest,
-      });
+    const data = await this._collectParticipants({
+      guild,
+      metadata,
+      channelId,
+      manifest,
+    });
 
-      const now = Date.now();
-      const sessionId = manifest.sessionId;
-      const manifestTimestamp = Number.parseInt(sessionId, 10);
-      const sessionStartedAt = metadata?.startedAt
-        ?? (Number.isFinite(manifestTimestamp) ? manifestTimestamp : now);
-      const transcript = transcriptionResult.data?.transcript ?? null;
-      const summary = transcriptionResult.data?.summary ?? null;
-      const segmentsFromResult = transcriptionResult.data?.segments ?? [];
-
-      const participants = data.participants.map((participant) => ({
-        ...participant,
-        joinedAt: participant.joinedAt ?? sessionStartedAt,
-      }));
+    const now = Date.now();
+    const sessionId = manifest.sessionId;
+    const manifestTimestamp = Number.parseInt(sessionId, 10);
+    const sessionStartedAt = metadata?.startedAt
+      ?? (Number.isFinite(manifestTimestamp) ? manifestTimestamp : now);
+    const transcript = transcriptionResult.data?.transcript ?? null;
+    const summary = transcriptionResult.data?.summary ?? null;
+    const segmentsFromResult = transcriptionResult.data?.segments ?? [];
 
-      const segments = segmentsFromResult.map((segment) => ({
-        id: segment.id,
-        sessionId,
-        userId: segment.userId ?? null,
-        label: segment.label ?? null,
-        startedAt: segment.startedAt ?? null,
-        text: segment.text ?? '',
-        audioPath: segment.audioPath
-          ? path.relative(this.recordingRoot, segment.audioPath)
-          : null,
-      }));
+    const participants = data.participants.map((participant) => ({
+      ...participant,
+      joinedAt: participant.joinedAt ?? sessionStartedAt,
+    }));
 
-      const mixdownRelativePath = mixdownPath
-        ? path.relative(this.recordingRoot, mixdownPath)
-        : null;
+    const segments = segmentsFromResult.map((segment) => ({
+      id: segment.id,
+      sessionId,
+      userId: segment.userId ?? null,
+      label: segment.label ?? null,
+      startedAt: segment.startedAt ?? null,
+      text: segment.text ?? '',
+      audioPath: segment.audioPath
+        ? path.relative(this.recordingRoot, segment.audioPath)
+        : null,
+      timings: segment.timings ?? [],
+    }));
 
-      const sessionRecord = {
-        id: sessionId,
-        guildId: metadata?.guildId ?? message.guild.id,
-        guildName: metadata?.guildName ?? message.guild.name,
-        channelId: data.channelId ?? metadata?.channelId ?? channelId ?? null,
-        channelName: data.channelName ?? metadata?.channelName ?? null,
-        startedAt: sessionStartedAt,
-        endedAt: now,
-        transcript,
-        summary,
-        audioPath: mixdownRelativePath,
-      };
+    const mixdownRelativePath = mixdownPath
+      ? path.relative(this.recordingRoot, mixdownPath)
+      : null;
 
-      this.database.saveSession({
-        session: sessionRecord,
-        participants,
-        segments,
-      });
-    } catch (error) {
-      console.error('Failed to persist session data:', error);
-    }
+    const sessionRecord = {
+      id: sessionId,
+      guildId: metadata?.guildId ?? guild?.id ?? null,
+      guildName: metadata?.guildName ?? guild?.name ?? null,
+      channelId: data.channelId ?? metadata?.channelId ?? channelId ?? null,
+      channelName: data.channelName ?? metadata?.channelName ?? null,
+      startedAt: sessionStartedAt,
+      endedAt: now,
+      transcript,
+      summary,
+      audioPath: mixdownRelativePath,
+    };
+
+    const participantEvents = (metadata?.participantEvents ?? []).map((event) => ({
+      sessionId,
+      userId: event.userId,
+      displayName: event.displayName ?? null,
+      type: event.type,
+      occurredAt: event.occurredAt,
+    }));
+
+    this.database.saveSession({
+      session: sessionRecord,
+      participants,
+      segments,
+      participantEvents,
+      pauses: (manifest.pauses ?? [])
+        .filter((pause) => Number.isFinite(pause.endedAt))
+        .map((pause) => ({ sessionId, startedAt: pause.startedAt, endedAt: pause.endedAt })),
+      structuredSummary: transcriptionResult.data?.structuredSummary ?? null,
+    });
   }
 }
 
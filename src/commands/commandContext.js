@@ -0,0 +1,52 @@
+const { MessageFlags } = require('discord.js');
+
+function createMessageContext(message) {
+  return {
+    guild: message.guild,
+    member: message.member,
+    user: message.author,
+    channel: message.channel,
+    reply: (content) => message.reply(content),
+    send: (content) => message.channel.send(content),
+  };
+}
+
+async function createInteractionContext(interaction) {
+  // Processing a stopped call can take minutes, so acknowledge immediately and
+  // answer through the deferred reply (and follow-ups) afterwards.
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  let replied = false;
+  const reply = async (content) => {
+    try {
+      if (!replied) {
+        replied = true;
+        return await interaction.editReply(content);
+      }
+      const payload = typeof content === 'string' ? { content } : content;
+      return await interaction.followUp({ ...payload, flags: MessageFlags.Ephemeral });
+    } catch (error) {
+      // Interaction tokens expire after 15 minutes; fall back to the channel.
+      if (interaction.channel?.isSendable()) {
+        return interaction.channel.send(content);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    guild: interaction.guild,
+    member: interaction.member,
+    user: interaction.user,
+    channel: interaction.channel,
+    reply,
+    send: async (content) => {
+      if (interaction.channel?.isSendable()) {
+        return interaction.channel.send(content);
+      }
+      return reply(content);
+    },
+  };
+}
+
+module.exports = { createMessageContext, createInteractionContext };
@@ -0,0 +1,31 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const CONSENT_OPT_OUT_ID = 'consent:opt-out';
+const CONSENT_OPT_IN_ID = 'consent:opt-in';
+
+function buildConsentMessage(channelName) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CONSENT_OPT_OUT_ID)
+      .setLabel('Do not record me')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(CONSENT_OPT_IN_ID)
+      .setLabel('Record me again')
+      .setStyle(ButtonStyle.Secondary),
+  );
+
+  return {
+    content: [
+      `🔴 **${channelName}** is being recorded, transcribed and summarized.`,
+      'If you do not want your voice recorded, press **Do not record me**: nothing you say will be saved, in this call or any later one, until you opt back in.',
+    ].join('\n'),
+    components: [row],
+  };
+}
+
+module.exports = {
+  CONSENT_OPT_OUT_ID,
+  CONSENT_OPT_IN_ID,
+  buildConsentMessage,
+};
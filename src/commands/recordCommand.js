@@ -0,0 +1,81 @@
+const { SlashCommandBuilder, ChannelType, InteractionContextType } = require('discord.js');
+const { SUMMARY_TEMPLATES } = require('../summary/templates');
+
+const RECORD_COMMAND_NAME = 'record';
+
+const recordCommand = new SlashCommandBuilder()
+  .setName(RECORD_COMMAND_NAME)
+  .setDescription('Control call recording in this server')
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand((subcommand) => subcommand
+    .setName('start')
+    .setDescription('Join a voice channel and start recording')
+    .addChannelOption((option) => option
+      .setName('channel')
+      .setDescription('Voice channel to record (defaults to the one you are in)')
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+    .addStringOption((option) => option
+      .setName('template')
+      .setDescription('Summary style for this recording (defaults to the server setting)')
+      .addChoices(...Object.entries(SUMMARY_TEMPLATES).map(([value, { label }]) => ({ name: label, value })))))
+  .addSubcommand((subcommand) => subcommand
+    .setName('stop')
+    .setDescription('Stop recording and process the call')
+    .addChannelOption((option) => option
+      .setName('channel')
+      .setDescription('Recorded channel (defaults to the one you are in)')
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)))
+  .addSubcommand((subcommand) => subcommand
+    .setName('status')
+    .setDescription('Show whether a recording is in progress'))
+  .addSubcommand((subcommand) => subcommand
+    .setName('pause')
+    .setDescription('Stop capturing audio for a while without leaving the channel')
+    .addChannelOption((option) => option
+      .setName('channel')
+      .setDescription('Recorded channel (defaults to the one you are in)')
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)))
+  .addSubcommand((subcommand) => subcommand
+    .setName('resume')
+    .setDescription('Start capturing audio again after a pause')
+    .addChannelOption((option) => option
+      .setName('channel')
+      .setDescription('Recorded channel (defaults to the one you are in)')
+      .addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)))
+  .addSubcommand((subcommand) => subcommand
+    .setName('opt-out')
+    .setDescription('Never record your voice, in this call or any later one'))
+  .addSubcommand((subcommand) => subcommand
+    .setName('opt-in')
+    .setDescription('Allow your voice to be recorded again'));
+
+const MENTION_PATTERN = /<@[!&]?\d+>/g;
+const STOP_WORDS = new Set(['leave', 'stop', 'done']);
+const CONSENT_WORDS = { optout: 'opt-out', optin: 'opt-in' };
+
+function parseMentionCommand(content) {
+  const words = String(content ?? '')
+    .replace(MENTION_PATTERN, ' ')
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const first = words[0]?.replace(/[^a-z]/g, '') ?? '';
+  if (STOP_WORDS.has(first)) {
+    return 'stop';
+  }
+  if (first === 'status' || first === 'pause' || first === 'resume') {
+    return first;
+  }
+  if (CONSENT_WORDS[first]) {
+    return CONSENT_WORDS[first];
+  }
+  return 'start';
+}
+
+module.exports = {
+  RECORD_COMMAND_NAME,
+  commands: [recordCommand.toJSON()],
+  parseMentionCommand,
+};
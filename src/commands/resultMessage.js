@@ -0,0 +1,123 @@
+const { AttachmentBuilder, EmbedBuilder } = require('discord.js');
+const { renderExport } = require('../transcription/transcriptExport');
+
+const MESSAGE_CONTENT_LIMIT = 2000;
+const EMBED_TITLE_LIMIT = 256;
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_FIELD_LIMIT = 1024;
+const THREAD_NAME_LIMIT = 100;
+// The upload limit for servers without boosts.
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const EMBED_COLOR = 0x5865f2;
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+// Splits text into pieces of at most `limit` characters, preferring paragraph
+// and line breaks, then spaces, so Markdown lists stay intact where possible.
+function splitText(text, limit) {
+  const pieces = [];
+  let rest = text.trim();
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf('\n', limit);
+    if (cut < limit / 2) {
+      cut = rest.lastIndexOf(' ', limit);
+    }
+    if (cut <= 0) {
+      cut = limit;
+    }
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours) {
+    return `${hours} h ${minutes} min`;
+  }
+  return minutes ? `${minutes} min ${seconds} s` : `${seconds} s`;
+}
+
+function formatParticipants(participants) {
+  const names = participants.map((participant) => participant.displayName || participant.userId).filter(Boolean);
+  if (!names.length) {
+    return 'Nobody spoke';
+  }
+  let shown = names.length;
+  let text = names.join(', ');
+  while (text.length > EMBED_FIELD_LIMIT && shown > 1) {
+    shown -= 1;
+    text = `${names.slice(0, shown).join(', ')} and ${names.length - shown} more`;
+  }
+  return truncate(text, EMBED_FIELD_LIMIT);
+}
+
+function buildTranscriptAttachment(detail) {
+  if (!detail.session.transcript?.trim() && !detail.segments.some((segment) => segment.text?.trim())) {
+    return null;
+  }
+  const { body, filename } = renderExport(detail, 'md');
+  const buffer = Buffer.from(body, 'utf8');
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    return null;
+  }
+  return new AttachmentBuilder(buffer, { name: filename });
+}
+
+// Builds the message posted when a session has been processed: an embed with
+// the summary, participants and duration, plus the transcript as a Markdown
+// file. Summaries longer than an embed allows continue in `overflow`, a list
+// of plain messages to send after it. `summaryNote` is shown when there is no
+// summary.
+function buildResultMessage({ detail, shareUrl, summaryNote }) {
+  const { session } = detail;
+  const channel = session.channelName || 'voice channel';
+  const summaryParts = session.summary?.trim()
+    ? splitText(session.summary, EMBED_DESCRIPTION_LIMIT)
+    : [summaryNote || 'No summary was generated for this call.'];
+  const overflow = summaryParts.length > 1
+    ? splitText(summaryParts.slice(1).join('\n'), MESSAGE_CONTENT_LIMIT)
+    : [];
+
+  const embed = new EmbedBuilder()
+    .setColor(EMBED_COLOR)
+    .setTitle(truncate(`Call in ${channel}`, EMBED_TITLE_LIMIT))
+    .setDescription(summaryParts[0])
+    .addFields({ name: 'Participants', value: formatParticipants(detail.participants) })
+    .setFooter({ text: `Session ${session.id}` });
+  if (shareUrl) {
+    embed.setURL(shareUrl);
+  }
+  if (Number.isFinite(session.startedAt)) {
+    embed.setTimestamp(session.startedAt);
+    if (Number.isFinite(session.endedAt)) {
+      embed.addFields({ name: 'Duration', value: formatDuration(session.endedAt - session.startedAt), inline: true });
+    }
+  }
+
+  const files = [];
+  const attachment = buildTranscriptAttachment(detail);
+  if (attachment) {
+    files.push(attachment);
+  } else if (shareUrl) {
+    embed.addFields({ name: 'Transcript', value: `[Open in the web UI](${shareUrl})`, inline: true });
+  }
+
+  const date = Number.isFinite(session.startedAt) ? new Date(session.startedAt).toISOString().slice(0, 10) : null;
+  return {
+    message: { embeds: [embed], files },
+    overflow,
+    threadName: truncate([channel, date].filter(Boolean).join(' – '), THREAD_NAME_LIMIT),
+  };
+}
+
+module.exports = { buildResultMessage };
@@ -0,0 +1,76 @@
+const {
+  SlashCommandBuilder,
+  ChannelType,
+  InteractionContextType,
+  PermissionFlagsBits,
+} = require('discord.js');
+const { MAX_SUMMARY_PROMPT_LENGTH } = require('../settings/guildSettings');
+const { SUMMARY_TEMPLATES } = require('../summary/templates');
+
+const SETTINGS_COMMAND_NAME = 'settings';
+
+// Slash command option name -> guild setting key.
+const SETTING_OPTIONS = {
+  transcription_url: 'transcriptionUrl',
+  summary_prompt: 'summaryPrompt',
+  summary_template: 'summaryTemplate',
+  language: 'language',
+  retention_days: 'retentionDays',
+  announce_channel: 'announceChannelId',
+  auto_summary: 'autoSummary',
+  result_thread: 'resultThread',
+};
+
+const settingsCommand = new SlashCommandBuilder()
+  .setName(SETTINGS_COMMAND_NAME)
+  .setDescription('Configure call recording for this server')
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((subcommand) => subcommand
+    .setName('show')
+    .setDescription('Show the settings used for new recordings'))
+  .addSubcommand((subcommand) => subcommand
+    .setName('set')
+    .setDescription('Change one or more settings')
+    .addStringOption((option) => option
+      .setName('transcription_url')
+      .setDescription('Transcription endpoint to use instead of the bot default'))
+    .addStringOption((option) => option
+      .setName('summary_prompt')
+      .setDescription('Instructions given to the summarizer')
+      .setMaxLength(MAX_SUMMARY_PROMPT_LENGTH))
+    .addStringOption((option) => option
+      .setName('summary_template')
+      .setDescription('Summary style used when a recording does not pick one')
+      .addChoices(...Object.entries(SUMMARY_TEMPLATES).map(([value, { label }]) => ({ name: label, value }))))
+    .addStringOption((option) => option
+      .setName('language')
+      .setDescription('Spoken language (ISO-639 code, e.g. en), sent to transcription and summary')
+      .setMaxLength(16))
+    .addIntegerOption((option) => option
+      .setName('retention_days')
+      .setDescription('Days to keep recorded audio (0 keeps it forever)')
+      .setMinValue(0))
+    .addChannelOption((option) => option
+      .setName('announce_channel')
+      .setDescription('Channel where finished transcripts are announced')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+    .addBooleanOption((option) => option
+      .setName('auto_summary')
+      .setDescription('Summarize transcripts automatically'))
+    .addBooleanOption((option) => option
+      .setName('result_thread')
+      .setDescription('Open a discussion thread on each posted summary')))
+  .addSubcommand((subcommand) => subcommand
+    .setName('reset')
+    .setDescription('Restore a setting (or all of them) to the default')
+    .addStringOption((option) => option
+      .setName('setting')
+      .setDescription('Setting to reset; leave empty to reset everything')
+      .addChoices(...Object.keys(SETTING_OPTIONS).map((name) => ({ name, value: name })))));
+
+module.exports = {
+  SETTINGS_COMMAND_NAME,
+  SETTING_OPTIONS,
+  commands: [settingsCommand.toJSON()],
+};
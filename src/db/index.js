@@ -9,6 +9,21 @@ function ensureDirectory(filePath) {
   fs.mkdirSync(dir, { recursive: true });
 }
 
+// Turns free-form user input into an FTS5 query: every word must match and the
+// last one is treated as a prefix so results update while typing.
+function buildFtsQuery(text) {
+  const terms = String(text ?? '')
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, '').trim())
+    .filter(Boolean);
+  if (!terms.length) {
+    return null;
+  }
+  return terms
+    .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
 function createDatabase(dbPath = process.env.DATABASE_PATH) {
   const resolvedPath = dbPath ? path.resolve(dbPath) : DEFAULT_DB_PATH;
   ensureDirectory(resolvedPath);
@@ -40,6 +55,28 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
       FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS participant_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      display_name TEXT,
+      type TEXT NOT NULL,
+      occurred_at INTEGER NOT NULL,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS participant_events_session ON participant_events (session_id, occurred_at);
+
+    CREATE TABLE IF NOT EXISTS session_pauses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER NOT NULL,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS session_pauses_session ON session_pauses (session_id, started_at);
+
     CREATE TABLE IF NOT EXISTS segments (
       id TEXT PRIMARY KEY,
       session_id TEXT NOT NULL,
@@ -50,6 +87,126 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
       audio_path TEXT,
       FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
     );
+
+    CREATE TABLE IF NOT EXISTS segment_timings (
+      segment_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      text TEXT,
+      PRIMARY KEY (segment_id, kind, position),
+      FOREIGN KEY (segment_id) REFERENCES segments(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS summary_entries (
+      session_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      PRIMARY KEY (session_id, kind, position),
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS action_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      assignee_user_id TEXT,
+      assignee_name TEXT,
+      due_date TEXT,
+      completed_at INTEGER,
+      completed_by TEXT,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS action_items_session ON action_items (session_id, position);
+    CREATE INDEX IF NOT EXISTS action_items_assignee ON action_items (assignee_user_id, completed_at);
+
+    CREATE TABLE IF NOT EXISTS session_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      transcript TEXT,
+      summary TEXT,
+      segments TEXT,
+      structured_summary TEXT,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS session_versions_session ON session_versions (session_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS transcript_edits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      edited_by TEXT,
+      created_at INTEGER NOT NULL,
+      before TEXT NOT NULL,
+      after TEXT NOT NULL,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS transcript_edits_session ON transcript_edits (session_id, created_at);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS segments_fts USING fts5(
+      text,
+      segment_id UNINDEXED,
+      session_id UNINDEXED,
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS sessions_fts USING fts5(
+      summary,
+      session_id UNINDEXED,
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TABLE IF NOT EXISTS processing_jobs (
+      session_id TEXT PRIMARY KEY,
+      guild_id TEXT,
+      channel_id TEXT,
+      notify_channel_id TEXT,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      step_attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      manifest TEXT NOT NULL,
+      metadata TEXT,
+      mixdown_path TEXT,
+      transcription_result TEXT,
+      summary_result TEXT,
+      created_at INTEGER,
+      updated_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS web_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      username TEXT,
+      avatar TEXT,
+      guild_ids TEXT NOT NULL,
+      created_at INTEGER,
+      expires_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS recording_opt_outs (
+      user_id TEXT PRIMARY KEY,
+      opted_out_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guild_id TEXT PRIMARY KEY,
+      transcription_url TEXT,
+      summary_prompt TEXT,
+      language TEXT,
+      retention_days INTEGER,
+      announce_channel_id TEXT,
+      auto_summary INTEGER,
+      updated_at INTEGER
+    );
   `);
 
   try {
@@ -60,6 +217,22 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
     }
   }
 
+  try {
+    db.prepare('ALTER TABLE guild_settings ADD COLUMN summary_template TEXT').run();
+  } catch (error) {
+    if (!/duplicate column name/i.test(error.message)) {
+      throw error;
+    }
+  }
+
+  try {
+    db.prepare('ALTER TABLE guild_settings ADD COLUMN result_thread INTEGER').run();
+  } catch (error) {
+    if (!/duplicate column name/i.test(error.message)) {
+      throw error;
+    }
+  }
+
   try {
     db.prepare('ALTER TABLE sessions ADD COLUMN audio_path TEXT').run();
   } catch (error) {
@@ -68,10 +241,47 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
     }
   }
 
+  // Upsert rather than REPLACE: a live session row may already exist, and
+  // REPLACE would delete it and cascade to rows recorded during the call.
   const insertSessionStmt = db.prepare(`
-    INSERT OR REPLACE INTO sessions (
+    INSERT INTO sessions (
       id, guild_id, guild_name, channel_id, channel_name, started_at, ended_at, transcript, summary, audio_path
     ) VALUES (@id, @guildId, @guildName, @channelId, @channelName, @startedAt, @endedAt, @transcript, @summary, @audioPath)
+    ON CONFLICT(id) DO UPDATE SET
+      guild_id = excluded.guild_id,
+      guild_name = excluded.guild_name,
+      channel_id = excluded.channel_id,
+      channel_name = excluded.channel_name,
+      started_at = excluded.started_at,
+      ended_at = excluded.ended_at,
+      transcript = excluded.transcript,
+      summary = excluded.summary,
+      audio_path = excluded.audio_path
+  `);
+
+  const insertLiveSessionStmt = db.prepare(`
+    INSERT OR IGNORE INTO sessions (
+      id, guild_id, guild_name, channel_id, channel_name, started_at
+    ) VALUES (@id, @guildId, @guildName, @channelId, @channelName, @startedAt)
+  `);
+
+  // Live rows still open with no job left to save them: the bot stopped
+  // before the recording did.
+  const listAbandonedLiveSessionsStmt = db.prepare(`
+    SELECT id, guild_id AS guildId
+    FROM sessions
+    WHERE ended_at IS NULL
+      AND id NOT IN (SELECT session_id FROM processing_jobs WHERE status NOT IN ('saved', 'failed'))
+  `);
+
+  // Ends the session at its last transcribed burst, or where it started.
+  const finishLiveSessionStmt = db.prepare(`
+    UPDATE sessions
+    SET ended_at = MAX(
+      COALESCE(started_at, 0),
+      COALESCE((SELECT MAX(started_at) FROM segments WHERE session_id = sessions.id), 0)
+    )
+    WHERE id = ? AND ended_at IS NULL
   `);
 
   const insertParticipantStmt = db.prepare(`
@@ -80,17 +290,120 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
     ) VALUES (@sessionId, @userId, @displayName, @joinedAt)
   `);
 
+  const insertParticipantEventStmt = db.prepare(`
+    INSERT INTO participant_events (session_id, user_id, display_name, type, occurred_at)
+    VALUES (@sessionId, @userId, @displayName, @type, @occurredAt)
+  `);
+  const deleteParticipantEventsStmt = db.prepare('DELETE FROM participant_events WHERE session_id = ?');
+
+  const insertPauseStmt = db.prepare(`
+    INSERT INTO session_pauses (session_id, started_at, ended_at)
+    VALUES (@sessionId, @startedAt, @endedAt)
+  `);
+  const deletePausesStmt = db.prepare('DELETE FROM session_pauses WHERE session_id = ?');
+
   const insertSegmentStmt = db.prepare(`
     INSERT OR REPLACE INTO segments (
       id, session_id, user_id, label, started_at, text, audio_path
     ) VALUES (@id, @sessionId, @userId, @label, @startedAt, @text, @audioPath)
   `);
 
+  const insertTimingStmt = db.prepare(`
+    INSERT OR REPLACE INTO segment_timings (
+      segment_id, kind, position, start_ms, end_ms, text
+    ) VALUES (@segmentId, @kind, @position, @startMs, @endMs, @text)
+  `);
+
+  const insertSummaryEntryStmt = db.prepare(`
+    INSERT INTO summary_entries (session_id, kind, position, text)
+    VALUES (@sessionId, @kind, @position, @text)
+  `);
+  const deleteSummaryEntriesStmt = db.prepare('DELETE FROM summary_entries WHERE session_id = ?');
+
+  const insertActionItemStmt = db.prepare(`
+    INSERT INTO action_items (session_id, position, text, assignee_user_id, assignee_name, due_date)
+    VALUES (@sessionId, @position, @text, @assigneeUserId, @assigneeName, @dueDate)
+  `);
+  const deleteActionItemsStmt = db.prepare('DELETE FROM action_items WHERE session_id = ?');
+
+  const insertSegmentFtsStmt = db.prepare(`
+    INSERT INTO segments_fts (text, segment_id, session_id) VALUES (@text, @id, @sessionId)
+  `);
+  const insertSessionFtsStmt = db.prepare(`
+    INSERT INTO sessions_fts (summary, session_id) VALUES (@summary, @id)
+  `);
+  const deleteSegmentsFtsStmt = db.prepare('DELETE FROM segments_fts WHERE session_id = ?');
+  const deleteSegmentFtsStmt = db.prepare('DELETE FROM segments_fts WHERE segment_id = ?');
+  const deleteSessionFtsStmt = db.prepare('DELETE FROM sessions_fts WHERE session_id = ?');
+
   const deleteSegmentsStmt = db.prepare('DELETE FROM segments WHERE session_id = ?');
   const deleteParticipantsStmt = db.prepare('DELETE FROM session_participants WHERE session_id = ?');
   const deleteSessionStmt = db.prepare('DELETE FROM sessions WHERE id = ?');
 
-  const saveSession = db.transaction(({ session, participants, segments }) => {
+  // Segments are written with REPLACE, so drop any FTS row left by an earlier
+  // version of the same segment before indexing it again.
+  const insertSegment = (segment) => {
+    insertSegmentStmt.run(segment);
+    deleteSegmentFtsStmt.run(segment.id);
+    if (segment.text) {
+      insertSegmentFtsStmt.run(segment);
+    }
+
+    const positions = {};
+    for (const timing of segment.timings ?? []) {
+      const position = positions[timing.kind] ?? 0;
+      positions[timing.kind] = position + 1;
+      insertTimingStmt.run({
+        segmentId: segment.id,
+        kind: timing.kind,
+        position,
+        startMs: timing.startMs,
+        endMs: timing.endMs,
+        text: timing.text ?? null,
+      });
+    }
+  };
+
+  // Summary list kinds as stored in summary_entries, keyed by the property
+  // name used in structured summaries.
+  const SUMMARY_ENTRY_KINDS = {
+    topics: 'topic',
+    decisions: 'decision',
+    openQuestions: 'question',
+  };
+
+  const replaceStructuredSummary = (sessionId, structured) => {
+    deleteSummaryEntriesStmt.run(sessionId);
+    deleteActionItemsStmt.run(sessionId);
+
+    if (structured.overview) {
+      insertSummaryEntryStmt.run({ sessionId, kind: 'overview', position: 0, text: structured.overview });
+    }
+    for (const [key, kind] of Object.entries(SUMMARY_ENTRY_KINDS)) {
+      (structured[key] ?? []).forEach((text, position) => {
+        insertSummaryEntryStmt.run({ sessionId, kind, position, text });
+      });
+    }
+    (structured.actionItems ?? []).forEach((item, position) => {
+      insertActionItemStmt.run({
+        sessionId,
+        position,
+        text: item.text,
+        assigneeUserId: item.assigneeUserId ?? null,
+        assigneeName: item.assigneeName ?? null,
+        dueDate: item.dueDate ?? null,
+      });
+    });
+  };
+
+  const saveSession = db.transaction(({
+    session,
+    participants,
+    segments,
+    participantEvents = [],
+    pauses = [],
+    structuredSummary = null,
+  }) => {
     insertSessionStmt.run(session);
 
     deleteParticipantsStmt.run(session.id);
@@ -98,12 +411,118 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
       insertParticipantStmt.run(participant);
     }
 
+    deleteParticipantEventsStmt.run(session.id);
+    for (const event of participantEvents) {
+      insertParticipantEventStmt.run(event);
+    }
+
+    deletePausesStmt.run(session.id);
+    for (const pause of pauses) {
+      insertPauseStmt.run(pause);
+    }
+
     deleteSegmentsStmt.run(session.id);
+    deleteSegmentsFtsStmt.run(session.id);
     for (const segment of segments) {
-      insertSegmentStmt.run(segment);
+      insertSegment(segment);
+    }
+
+    deleteSessionFtsStmt.run(session.id);
+    if (session.summary) {
+      insertSessionFtsStmt.run(session);
     }
+
+    if (structuredSummary) {
+      replaceStructuredSummary(session.id, structuredSummary);
+    }
+  });
+
+  const appendSegment = db.transaction((segment) => {
+    insertSegment(segment);
   });
 
+  const listUserSegmentIdsStmt = db.prepare('SELECT id FROM segments WHERE session_id = ? AND user_id = ?');
+  const deleteUserSegmentsStmt = db.prepare('DELETE FROM segments WHERE session_id = ? AND user_id = ?');
+
+  const deleteUserSegments = db.transaction((sessionId, userId) => {
+    const segmentIds = listUserSegmentIdsStmt.all(sessionId, userId).map((row) => row.id);
+    for (const segmentId of segmentIds) {
+      deleteSegmentFtsStmt.run(segmentId);
+    }
+    deleteUserSegmentsStmt.run(sessionId, userId);
+    return segmentIds;
+  });
+
+  const clearSessionAudioStmt = db.prepare('UPDATE sessions SET audio_path = NULL WHERE id = ?');
+  const clearSegmentAudioStmt = db.prepare('UPDATE segments SET audio_path = NULL WHERE session_id = ?');
+
+  const clearSessionAudio = db.transaction((sessionId) => {
+    clearSessionAudioStmt.run(sessionId);
+    clearSegmentAudioStmt.run(sessionId);
+  });
+
+  const deleteSession = db.transaction((sessionId) => {
+    deleteSegmentsFtsStmt.run(sessionId);
+    deleteSessionFtsStmt.run(sessionId);
+    return deleteSessionStmt.run(sessionId).changes > 0;
+  });
+
+  // Index transcripts saved before the search tables existed.
+  const ftsIsEmpty = !db.prepare('SELECT 1 FROM segments_fts LIMIT 1').get()
+    && !db.prepare('SELECT 1 FROM sessions_fts LIMIT 1').get();
+  if (ftsIsEmpty) {
+    db.exec(`
+      INSERT INTO segments_fts (text, segment_id, session_id)
+      SELECT text, id, session_id FROM segments WHERE text IS NOT NULL AND text != '';
+      INSERT INTO sessions_fts (summary, session_id)
+      SELECT summary, id FROM sessions WHERE summary IS NOT NULL AND summary != '';
+    `);
+  }
+
+  // Limits rows to sessions a web viewer may see. Both parameters are NULL
+  // when web authentication is disabled.
+  const accessFilter = `
+    (@guildIds IS NULL OR s.guild_id IN (SELECT value FROM json_each(@guildIds)))
+    AND (@userId IS NULL OR EXISTS (
+      SELECT 1 FROM session_participants ap WHERE ap.session_id = s.id AND ap.user_id = @userId
+    ))
+  `;
+  const toScopeParams = (scope) => ({
+    guildIds: scope ? JSON.stringify(scope.guildIds ?? []) : null,
+    userId: scope?.userId ?? null,
+  });
+
+  const searchSegmentsStmt = db.prepare(`
+    SELECT f.segment_id AS segmentId,
+           f.session_id AS sessionId,
+           seg.user_id AS userId,
+           seg.label,
+           seg.started_at AS startedAt,
+           snippet(segments_fts, 0, char(2), char(3), '…', 16) AS snippet,
+           s.guild_name AS guildName,
+           s.channel_name AS channelName,
+           s.started_at AS sessionStartedAt
+    FROM segments_fts f
+    JOIN segments seg ON seg.id = f.segment_id
+    JOIN sessions s ON s.id = f.session_id
+    WHERE segments_fts MATCH @query AND ${accessFilter}
+    ORDER BY rank
+    LIMIT @limit
+  `);
+
+  const searchSummariesStmt = db.prepare(`
+    SELECT f.session_id AS sessionId,
+           snippet(sessions_fts, 0, char(2), char(3), '…', 16) AS snippet,
+           s.guild_name AS guildName,
+           s.channel_name AS channelName,
+           s.started_at AS sessionStartedAt
+    FROM sessions_fts f
+    JOIN sessions s ON s.id = f.session_id
+    WHERE sessions_fts MATCH @query AND ${accessFilter}
+    ORDER BY rank
+    LIMIT @limit
+  `);
+
   const listSessionsStmt = db.prepare(`
     SELECT s.id,
            s.guild_name AS guildName,
@@ -114,6 +533,7 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
            COUNT(p.user_id) AS participantCount
     FROM sessions s
     LEFT JOIN session_participants p ON p.session_id = s.id
+    WHERE ${accessFilter}
     GROUP BY s.id
     ORDER BY s.started_at DESC
   `);
@@ -126,6 +546,13 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
     WHERE id = ?
   `);
 
+  const canAccessSessionStmt = db.prepare(`
+    SELECT 1 FROM sessions s WHERE s.id = @sessionId AND ${accessFilter}
+  `);
+  const canAccessRecordingStmt = db.prepare(`
+    SELECT 1 FROM sessions s WHERE s.id = @sessionId AND s.guild_id = @guildId AND ${accessFilter}
+  `);
+
   const listParticipantsStmt = db.prepare(`
     SELECT user_id AS userId, display_name AS displayName, joined_at AS joinedAt
     FROM session_participants
@@ -133,6 +560,20 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
     ORDER BY display_name COLLATE NOCASE
   `);
 
+  const listParticipantEventsStmt = db.prepare(`
+    SELECT user_id AS userId, display_name AS displayName, type, occurred_at AS occurredAt
+    FROM participant_events
+    WHERE session_id = ?
+    ORDER BY occurred_at ASC, id ASC
+  `);
+
+  const listPausesStmt = db.prepare(`
+    SELECT started_at AS startedAt, ended_at AS endedAt
+    FROM session_pauses
+    WHERE session_id = ?
+    ORDER BY started_at ASC
+  `);
+
   const listSegmentsStmt = db.prepare(`
     SELECT id, user_id AS userId, label, started_at AS startedAt, text, audio_path AS audioPath
     FROM segments
@@ -140,12 +581,387 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
     ORDER BY started_at ASC
   `);
 
+  const listTimingsStmt = db.prepare(`
+    SELECT t.segment_id AS segmentId, t.kind, t.start_ms AS startMs, t.end_ms AS endMs, t.text
+    FROM segment_timings t
+    JOIN segments seg ON seg.id = t.segment_id
+    WHERE seg.session_id = ?
+    ORDER BY t.segment_id, t.kind, t.position
+  `);
+
+  const listSummaryEntriesStmt = db.prepare(`
+    SELECT kind, text
+    FROM summary_entries
+    WHERE session_id = ?
+    ORDER BY kind, position
+  `);
+
+  const actionItemColumns = `
+    a.id, a.text, a.assignee_user_id AS assigneeUserId, a.assignee_name AS assigneeName,
+    a.due_date AS dueDate, a.completed_at AS completedAt, a.completed_by AS completedBy
+  `;
+
+  const listSessionActionItemsStmt = db.prepare(`
+    SELECT ${actionItemColumns}
+    FROM action_items a
+    WHERE a.session_id = ?
+    ORDER BY a.position
+  `);
+
+  const getActionItemStmt = db.prepare(`
+    SELECT ${actionItemColumns}
+    FROM action_items a
+    WHERE a.id = ? AND a.session_id = ?
+  `);
+
+  const updateActionItemStmt = db.prepare(`
+    UPDATE action_items SET completed_at = @completedAt, completed_by = @completedBy
+    WHERE id = @id AND session_id = @sessionId
+  `);
+
+  const listActionItemsStmt = db.prepare(`
+    SELECT ${actionItemColumns},
+           a.session_id AS sessionId,
+           s.guild_name AS guildName,
+           s.channel_name AS channelName,
+           s.started_at AS sessionStartedAt
+    FROM action_items a
+    JOIN sessions s ON s.id = a.session_id
+    WHERE ${accessFilter}
+      AND (@status = 'all' OR (@status = 'open') = (a.completed_at IS NULL))
+      AND (@assigneeUserId IS NULL OR a.assignee_user_id = @assigneeUserId)
+    ORDER BY a.due_date IS NULL, a.due_date, s.started_at DESC, a.position
+    LIMIT @limit
+  `);
+
+  const insertVersionStmt = db.prepare(`
+    INSERT INTO session_versions (session_id, reason, created_at, transcript, summary, segments, structured_summary)
+    VALUES (@sessionId, @reason, @createdAt, @transcript, @summary, @segments, @structuredSummary)
+  `);
+  const listVersionsStmt = db.prepare(`
+    SELECT id, reason, created_at AS createdAt
+    FROM session_versions
+    WHERE session_id = ?
+    ORDER BY created_at DESC, id DESC
+  `);
+  const getVersionStmt = db.prepare(`
+    SELECT id, reason, created_at AS createdAt, transcript, summary, segments,
+           structured_summary AS structuredSummary
+    FROM session_versions
+    WHERE session_id = ? AND id = ?
+  `);
+  const updateTranscriptStmt = db.prepare('UPDATE sessions SET transcript = ? WHERE id = ?');
+  const updateSummaryStmt = db.prepare('UPDATE sessions SET summary = @summary WHERE id = @id');
+
+  // Copies the current transcript and summary into session_versions before
+  // they are replaced. Returns the id of the new version row.
+  const snapshotSession = (sessionId, reason) => {
+    const session = getSessionStmt.get(sessionId);
+    const segments = listSegmentsStmt.all(sessionId)
+      .map(({ id, userId, label, startedAt, text }) => ({ id, userId, label, startedAt, text }));
+    return Number(insertVersionStmt.run({
+      sessionId,
+      reason,
+      createdAt: Date.now(),
+      transcript: session.transcript ?? null,
+      summary: session.summary ?? null,
+      segments: JSON.stringify(segments),
+      structuredSummary: toJson(getStructuredSummary(sessionId)),
+    }).lastInsertRowid);
+  };
+
+  const replaceSessionTranscript = db.transaction((sessionId, { transcript, segments }) => {
+    const versionId = snapshotSession(sessionId, 'retranscribe');
+    deleteSegmentsStmt.run(sessionId);
+    deleteSegmentsFtsStmt.run(sessionId);
+    for (const segment of segments) {
+      insertSegment(segment);
+    }
+    updateTranscriptStmt.run(transcript ?? null, sessionId);
+    return versionId;
+  });
+
+  const replaceSessionSummary = db.transaction((sessionId, { summary, structuredSummary }) => {
+    const versionId = snapshotSession(sessionId, 'resummarize');
+    updateSummaryStmt.run({ id: sessionId, summary: summary ?? null });
+    deleteSessionFtsStmt.run(sessionId);
+    if (summary) {
+      insertSessionFtsStmt.run({ id: sessionId, summary });
+    }
+    replaceStructuredSummary(sessionId, structuredSummary ?? {});
+    return versionId;
+  });
+
+  const getSegmentStmt = db.prepare(`
+    SELECT id, user_id AS userId, label, started_at AS startedAt, text, audio_path AS audioPath
+    FROM segments
+    WHERE session_id = ? AND id = ?
+  `);
+  const listSegmentTimingsStmt = db.prepare(`
+    SELECT kind, start_ms AS startMs, end_ms AS endMs, text
+    FROM segment_timings
+    WHERE segment_id = ?
+    ORDER BY kind, position
+  `);
+  const deleteSegmentStmt = db.prepare('DELETE FROM segments WHERE session_id = ? AND id = ?');
+  const deleteSegmentTimingsStmt = db.prepare('DELETE FROM segment_timings WHERE segment_id = ?');
+  const getParticipantStmt = db.prepare(`
+    SELECT user_id AS userId, display_name AS displayName
+    FROM session_participants
+    WHERE session_id = ? AND user_id = ?
+  `);
+  const renameParticipantStmt = db.prepare(`
+    UPDATE session_participants SET display_name = @displayName WHERE session_id = @sessionId AND user_id = @userId
+  `);
+  const renameSegmentLabelsStmt = db.prepare(`
+    UPDATE segments SET label = @displayName WHERE session_id = @sessionId AND user_id = @userId
+  `);
+  const renameParticipantEventsStmt = db.prepare(`
+    UPDATE participant_events SET display_name = @displayName WHERE session_id = @sessionId AND user_id = @userId
+  `);
+  const renameActionItemAssigneesStmt = db.prepare(`
+    UPDATE action_items SET assignee_name = @displayName WHERE session_id = @sessionId AND assignee_user_id = @userId
+  `);
+  const insertEditStmt = db.prepare(`
+    INSERT INTO transcript_edits (session_id, action, edited_by, created_at, before, after)
+    VALUES (@sessionId, @action, @editedBy, @createdAt, @before, @after)
+  `);
+  const listEditsStmt = db.prepare(`
+    SELECT id, action, edited_by AS editedBy, created_at AS createdAt, before, after
+    FROM transcript_edits
+    WHERE session_id = ?
+    ORDER BY created_at DESC, id DESC
+  `);
+
+  const countEditsStmt = db.prepare('SELECT COUNT(*) AS count FROM transcript_edits WHERE session_id = ?');
+
+  const getSegmentWithTimings = (sessionId, segmentId) => {
+    const segment = getSegmentStmt.get(sessionId, segmentId);
+    return segment ? { ...segment, timings: listSegmentTimingsStmt.all(segmentId) } : null;
+  };
+
+  const insertEdit = (sessionId, { action, editedBy, before, after }) => Number(insertEditStmt.run({
+    sessionId,
+    action,
+    editedBy: editedBy ?? null,
+    createdAt: Date.now(),
+    before: JSON.stringify(before),
+    after: JSON.stringify(after),
+  }).lastInsertRowid);
+
+  // Writes edited segments and removes merged ones. The segments as they were
+  // are stored in transcript_edits first. Returns the id of the edit row.
+  const saveTranscriptEdit = db.transaction((sessionId, {
+    action,
+    editedBy,
+    segments,
+    removeSegmentIds = [],
+    transcript,
+  }) => {
+    const before = [...removeSegmentIds, ...segments.map((segment) => segment.id)]
+      .map((segmentId) => getSegmentWithTimings(sessionId, segmentId))
+      .filter(Boolean);
+
+    for (const segmentId of removeSegmentIds) {
+      deleteSegmentFtsStmt.run(segmentId);
+      deleteSegmentStmt.run(sessionId, segmentId);
+    }
+    for (const segment of segments) {
+      deleteSegmentTimingsStmt.run(segment.id);
+      insertSegment(segment);
+    }
+    updateTranscriptStmt.run(transcript ?? null, sessionId);
+
+    return insertEdit(sessionId, {
+      action,
+      editedBy,
+      before: { segments: before },
+      after: { segments: segments.map(({ sessionId: _, ...segment }) => segment) },
+    });
+  });
+
+  const renameSessionParticipant = db.transaction((sessionId, userId, { displayName, editedBy, transcript }) => {
+    const participant = getParticipantStmt.get(sessionId, userId);
+    if (!participant) {
+      return null;
+    }
+    const params = { sessionId, userId, displayName };
+    renameParticipantStmt.run(params);
+    renameSegmentLabelsStmt.run(params);
+    renameParticipantEventsStmt.run(params);
+    renameActionItemAssigneesStmt.run(params);
+    updateTranscriptStmt.run(transcript ?? null, sessionId);
+
+    return insertEdit(sessionId, {
+      action: 'rename',
+      editedBy,
+      before: { participant },
+      after: { participant: { userId, displayName } },
+    });
+  });
+
+  const insertJobStmt = db.prepare(`
+    INSERT OR REPLACE INTO processing_jobs (
+      session_id, guild_id, channel_id, notify_channel_id, status, attempts, step_attempts, last_error,
+      manifest, metadata, mixdown_path, transcription_result, summary_result, created_at, updated_at
+    ) VALUES (
+      @sessionId, @guildId, @channelId, @notifyChannelId, @status, @attempts, @stepAttempts, @lastError,
+      @manifest, @metadata, @mixdownPath, @transcriptionResult, @summaryResult, @createdAt, @updatedAt
+    )
+  `);
+
+  const updateJobStmt = db.prepare(`
+    UPDATE processing_jobs
+    SET status = @status,
+        attempts = @attempts,
+        step_attempts = @stepAttempts,
+        last_error = @lastError,
+        mixdown_path = @mixdownPath,
+        transcription_result = @transcriptionResult,
+        summary_result = @summaryResult,
+        updated_at = @updatedAt
+    WHERE session_id = @sessionId
+  `);
+
+  const jobColumns = `
+    session_id AS sessionId, guild_id AS guildId, channel_id AS channelId,
+    notify_channel_id AS notifyChannelId, status, attempts, step_attempts AS stepAttempts, last_error AS lastError,
+    manifest, metadata, mixdown_path AS mixdownPath,
+    transcription_result AS transcriptionResult, summary_result AS summaryResult,
+    created_at AS createdAt, updated_at AS updatedAt
+  `;
+
+  const getJobStmt = db.prepare(`SELECT ${jobColumns} FROM processing_jobs WHERE session_id = ?`);
+
+  const listUnfinishedJobsStmt = db.prepare(`
+    SELECT ${jobColumns}
+    FROM processing_jobs
+    WHERE status NOT IN ('saved', 'failed')
+    ORDER BY created_at ASC
+  `);
+
+  const pruneFinishedJobsStmt = db.prepare(`
+    DELETE FROM processing_jobs
+    WHERE status IN ('saved', 'failed') AND updated_at < ?
+  `);
+
+  const getGuildSettingsStmt = db.prepare(`
+    SELECT guild_id AS guildId, transcription_url AS transcriptionUrl, summary_prompt AS summaryPrompt,
+           summary_template AS summaryTemplate, language, retention_days AS retentionDays, announce_channel_id AS announceChannelId,
+           auto_summary AS autoSummary, result_thread AS resultThread, updated_at AS updatedAt
+    FROM guild_settings
+    WHERE guild_id = ?
+  `);
+
+  const upsertGuildSettingsStmt = db.prepare(`
+    INSERT INTO guild_settings (
+      guild_id, transcription_url, summary_prompt, summary_template, language, retention_days,
+      announce_channel_id, auto_summary, result_thread, updated_at
+    ) VALUES (
+      @guildId, @transcriptionUrl, @summaryPrompt, @summaryTemplate, @language, @retentionDays,
+      @announceChannelId, @autoSummary, @resultThread, @updatedAt
+    )
+    ON CONFLICT(guild_id) DO UPDATE SET
+      transcription_url = excluded.transcription_url,
+      summary_prompt = excluded.summary_prompt,
+      summary_template = excluded.summary_template,
+      language = excluded.language,
+      retention_days = excluded.retention_days,
+      announce_channel_id = excluded.announce_channel_id,
+      auto_summary = excluded.auto_summary,
+      result_thread = excluded.result_thread,
+      updated_at = excluded.updated_at
+  `);
+
+  const insertWebSessionStmt = db.prepare(`
+    INSERT INTO web_sessions (token_hash, user_id, username, avatar, guild_ids, created_at, expires_at)
+    VALUES (@tokenHash, @userId, @username, @avatar, @guildIds, @createdAt, @expiresAt)
+  `);
+  const getWebSessionStmt = db.prepare(`
+    SELECT user_id AS userId, username, avatar, guild_ids AS guildIds, expires_at AS expiresAt
+    FROM web_sessions
+    WHERE token_hash = ? AND expires_at > ?
+  `);
+  const deleteWebSessionStmt = db.prepare('DELETE FROM web_sessions WHERE token_hash = ?');
+  const pruneWebSessionsStmt = db.prepare('DELETE FROM web_sessions WHERE expires_at <= ?');
+
+  const getOptOutStmt = db.prepare('SELECT 1 FROM recording_opt_outs WHERE user_id = ?');
+  const insertOptOutStmt = db.prepare(`
+    INSERT OR IGNORE INTO recording_opt_outs (user_id, opted_out_at) VALUES (?, ?)
+  `);
+  const deleteOptOutStmt = db.prepare('DELETE FROM recording_opt_outs WHERE user_id = ?');
+
+  const deleteGuildSettingsStmt = db.prepare('DELETE FROM guild_settings WHERE guild_id = ?');
+
+  // Null when the session was summarized as free-form Markdown.
+  const getStructuredSummary = (sessionId) => {
+    const entries = listSummaryEntriesStmt.all(sessionId);
+    const actionItems = listSessionActionItemsStmt.all(sessionId);
+    if (!entries.length && !actionItems.length) {
+      return null;
+    }
+
+    const structured = { overview: '', topics: [], decisions: [], openQuestions: [], actionItems };
+    const keysByKind = Object.fromEntries(Object.entries(SUMMARY_ENTRY_KINDS).map(([key, kind]) => [kind, key]));
+    for (const entry of entries) {
+      if (entry.kind === 'overview') {
+        structured.overview = entry.text;
+      } else if (keysByKind[entry.kind]) {
+        structured[keysByKind[entry.kind]].push(entry.text);
+      }
+    }
+    return structured;
+  };
+
+  const toJson = (value) => (value == null ? null : JSON.stringify(value));
+  const fromJson = (value) => (value == null ? null : JSON.parse(value));
+
+  const serializeJob = (job) => ({
+    ...job,
+    stepAttempts: job.stepAttempts ?? 0,
+    manifest: toJson(job.manifest),
+    metadata: toJson(job.metadata),
+    transcriptionResult: toJson(job.transcriptionResult),
+    summaryResult: toJson(job.summaryResult),
+  });
+
+  const deserializeJob = (row) => (row
+    ? {
+        ...row,
+        manifest: fromJson(row.manifest),
+        metadata: fromJson(row.metadata),
+        transcriptionResult: fromJson(row.transcriptionResult),
+        summaryResult: fromJson(row.summaryResult),
+      }
+    : null);
+
   return {
     saveSession(payload) {
       saveSession(payload);
     },
-    getSessions() {
-      return listSessionsStmt.all();
+    startLiveSession(session) {
+      insertLiveSessionStmt.run(session);
+    },
+    listAbandonedLiveSessions() {
+      return listAbandonedLiveSessionsStmt.all();
+    },
+    finishLiveSession(sessionId) {
+      return finishLiveSessionStmt.run(sessionId).changes > 0;
+    },
+    appendSegment(segment) {
+      appendSegment(segment);
+    },
+    deleteUserSegments(sessionId, userId) {
+      return deleteUserSegments(sessionId, userId);
+    },
+    getSessions(scope = null) {
+      return listSessionsStmt.all(toScopeParams(scope));
+    },
+    canAccessSession(sessionId, scope = null) {
+      return Boolean(canAccessSessionStmt.get({ sessionId, ...toScopeParams(scope) }));
+    },
+    canAccessRecording(guildId, sessionId, scope = null) {
+      return Boolean(canAccessRecordingStmt.get({ guildId, sessionId, ...toScopeParams(scope) }));
     },
     getSessionDetail(sessionId) {
       const session = getSessionStmt.get(sessionId);
@@ -153,8 +969,78 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
         return null;
       }
       const participants = listParticipantsStmt.all(sessionId);
-      const segments = listSegmentsStmt.all(sessionId);
-      return { session, participants, segments };
+      const timingsBySegment = new Map();
+      for (const { segmentId, ...timing } of listTimingsStmt.all(sessionId)) {
+        if (!timingsBySegment.has(segmentId)) {
+          timingsBySegment.set(segmentId, []);
+        }
+        timingsBySegment.get(segmentId).push(timing);
+      }
+      const segments = listSegmentsStmt.all(sessionId).map((segment) => ({
+        ...segment,
+        timings: timingsBySegment.get(segment.id) ?? [],
+      }));
+      const participantEvents = listParticipantEventsStmt.all(sessionId);
+      return {
+        session,
+        participants,
+        segments,
+        participantEvents,
+        pauses: listPausesStmt.all(sessionId),
+        structuredSummary: getStructuredSummary(sessionId),
+      };
+    },
+    replaceSessionTranscript(sessionId, replacement) {
+      return replaceSessionTranscript(sessionId, replacement);
+    },
+    replaceSessionSummary(sessionId, replacement) {
+      return replaceSessionSummary(sessionId, replacement);
+    },
+    saveTranscriptEdit(sessionId, edit) {
+      return saveTranscriptEdit(sessionId, edit);
+    },
+    renameSessionParticipant(sessionId, userId, rename) {
+      return renameSessionParticipant(sessionId, userId, rename);
+    },
+    listTranscriptEdits(sessionId) {
+      return listEditsStmt.all(sessionId).map((row) => ({
+        ...row,
+        before: fromJson(row.before),
+        after: fromJson(row.after),
+      }));
+    },
+    countTranscriptEdits(sessionId) {
+      return countEditsStmt.get(sessionId).count;
+    },
+    listSessionVersions(sessionId) {
+      return listVersionsStmt.all(sessionId);
+    },
+    getSessionVersion(sessionId, versionId) {
+      const row = getVersionStmt.get(sessionId, versionId);
+      return row
+        ? {
+            ...row,
+            segments: fromJson(row.segments) ?? [],
+            structuredSummary: fromJson(row.structuredSummary),
+          }
+        : null;
+    },
+    setActionItemCompleted(sessionId, itemId, completed, userId = null) {
+      updateActionItemStmt.run({
+        id: itemId,
+        sessionId,
+        completedAt: completed ? Date.now() : null,
+        completedBy: completed ? userId : null,
+      });
+      return getActionItemStmt.get(itemId, sessionId) ?? null;
+    },
+    listActionItems({ scope = null, status = 'open', assigneeUserId = null, limit = 200 } = {}) {
+      return listActionItemsStmt.all({
+        ...toScopeParams(scope),
+        status,
+        assigneeUserId,
+        limit,
+      });
     },
     deleteSession(sessionId) {
       const session = getSessionStmt.get(sessionId);
@@ -162,8 +1048,89 @@ function createDatabase(dbPath = process.env.DATABASE_PATH) {
         return false;
       }
 
-      const result = deleteSessionStmt.run(sessionId);
-      return result.changes > 0;
+      return deleteSession(sessionId);
+    },
+    clearSessionAudio(sessionId) {
+      clearSessionAudio(sessionId);
+    },
+    search(text, { limit = 50, scope = null } = {}) {
+      const query = buildFtsQuery(text);
+      if (!query) {
+        return { segments: [], sessions: [] };
+      }
+      const params = { query, limit, ...toScopeParams(scope) };
+      return {
+        segments: searchSegmentsStmt.all(params),
+        sessions: searchSummariesStmt.all(params),
+      };
+    },
+    createJob(job) {
+      insertJobStmt.run(serializeJob(job));
+    },
+    updateJob(job) {
+      updateJobStmt.run(serializeJob(job));
+    },
+    getJob(sessionId) {
+      return deserializeJob(getJobStmt.get(sessionId));
+    },
+    listUnfinishedJobs() {
+      return listUnfinishedJobsStmt.all().map(deserializeJob);
+    },
+    pruneFinishedJobs(before) {
+      return pruneFinishedJobsStmt.run(before).changes;
+    },
+    getGuildSettings(guildId) {
+      const row = getGuildSettingsStmt.get(guildId);
+      if (!row) {
+        return null;
+      }
+      return {
+        ...row,
+        autoSummary: row.autoSummary == null ? null : Boolean(row.autoSummary),
+        resultThread: row.resultThread == null ? null : Boolean(row.resultThread),
+      };
+    },
+    saveGuildSettings(settings) {
+      upsertGuildSettingsStmt.run({
+        guildId: settings.guildId,
+        transcriptionUrl: settings.transcriptionUrl ?? null,
+        summaryPrompt: settings.summaryPrompt ?? null,
+        summaryTemplate: settings.summaryTemplate ?? null,
+        language: settings.language ?? null,
+        retentionDays: settings.retentionDays ?? null,
+        announceChannelId: settings.announceChannelId ?? null,
+        autoSummary: settings.autoSummary == null ? null : Number(Boolean(settings.autoSummary)),
+        resultThread: settings.resultThread == null ? null : Number(Boolean(settings.resultThread)),
+        updatedAt: Date.now(),
+      });
+    },
+    deleteGuildSettings(guildId) {
+      return deleteGuildSettingsStmt.run(guildId).changes > 0;
+    },
+    isRecordingOptedOut(userId) {
+      return Boolean(getOptOutStmt.get(userId));
+    },
+    setRecordingOptOut(userId, optedOut) {
+      if (optedOut) {
+        insertOptOutStmt.run(userId, Date.now());
+      } else {
+        deleteOptOutStmt.run(userId);
+      }
+    },
+    createWebSession(webSession) {
+      pruneWebSessionsStmt.run(Date.now());
+      insertWebSessionStmt.run({
+        ...webSession,
+        guildIds: JSON.stringify(webSession.guildIds ?? []),
+        createdAt: Date.now(),
+      });
+    },
+    getWebSession(tokenHash) {
+      const row = getWebSessionStmt.get(tokenHash, Date.now());
+      return row ? { ...row, guildIds: JSON.parse(row.guildIds) } : null;
+    },
+    deleteWebSession(tokenHash) {
+      deleteWebSessionStmt.run(tokenHash);
     },
   };
 }
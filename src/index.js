@@ -18,27 +18,88 @@ const database = createDatabase(process.env.DATABASE_PATH);
 const summaryConfig = {
   baseUrl: process.env.LLM_BASE_URL || 'https://llm-server.amqm.dev/v1',
   apiKey: process.env.LLM_API_KEY || 'theres-your-api-key',
+  format: process.env.SUMMARY_FORMAT,
+  model: process.env.LLM_MODEL,
+  temperature: process.env.LLM_TEMPERATURE ? Number(process.env.LLM_TEMPERATURE) : undefined,
+  maxTokens: Number(process.env.LLM_MAX_TOKENS || 0),
+  contextTokens: Number(process.env.LLM_CONTEXT_TOKENS || 0),
+  chunkTokens: Number(process.env.SUMMARY_CHUNK_TOKENS || 0),
 };
 
-const port = Number(process.env.PORT || 16384);
+const processingConfig = {
+  maxAttempts: Number(process.env.PROCESSING_MAX_ATTEMPTS || 3),
+  retryDelayMs: Number(process.env.PROCESSING_RETRY_DELAY_MS || 15_000),
+  retentionDays: Number(process.env.PROCESSING_JOB_RETENTION_DAYS || 30),
+};
 
-const http = startHttpServer({
-  database,
-  recordingRoot,
-  webRoot,
-  port,
-});
+const port = Number(process.env.PORT || 16384);
 
 const bot = new CallTranscribeBot({
   token,
   recordingRoot,
   transcriptionConfig: {
+    provider: process.env.TRANSCRIPTION_PROVIDER,
     url: process.env.TRANSCRIPTION_URL,
     apiKey: process.env.TRANSCRIPTION_API_KEY,
     headerName: process.env.TRANSCRIPTION_HEADER_NAME,
+    model: process.env.TRANSCRIPTION_MODEL,
+    language: process.env.TRANSCRIPTION_LANGUAGE,
+    allowedHosts: (process.env.TRANSCRIPTION_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((host) => host.trim())
+      .filter(Boolean),
+    upload: {
+      concurrency: process.env.TRANSCRIPTION_CONCURRENCY,
+      maxRetries: process.env.TRANSCRIPTION_MAX_RETRIES,
+      timeoutMs: process.env.TRANSCRIPTION_TIMEOUT_MS,
+    },
+    silence: {
+      enabled: process.env.VAD_ENABLED !== 'false',
+      thresholdDb: process.env.VAD_THRESHOLD_DB,
+      minSpeechMs: process.env.VAD_MIN_SPEECH_MS,
+      paddingMs: process.env.VAD_PADDING_MS,
+    },
   },
   summaryConfig,
+  processingConfig,
+  database,
+  liveTranscription: process.env.LIVE_TRANSCRIPTION === 'true',
+  audioConfig: {
+    recordingFormat: process.env.RECORDING_FORMAT,
+    mixdownFormat: process.env.MIXDOWN_FORMAT,
+  },
+  autoRecordConfig: {
+    channelIds: (process.env.AUTO_JOIN_CHANNEL_IDS || '')
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean),
+    minMembers: Number(process.env.AUTO_JOIN_MIN_MEMBERS || 2),
+    leaveGraceMs: Number(process.env.AUTO_LEAVE_GRACE_SECONDS || 120) * 1000,
+  },
+  retentionConfig: {
+    audioDays: Number(process.env.RETENTION_AUDIO_DAYS || 0),
+    deleteRawAfterTranscription: process.env.RETENTION_DELETE_RAW === 'true',
+  },
+  commandGuildId: process.env.GUILD_ID,
+  workerTokens: (process.env.WORKER_TOKENS || '')
+    .split(',')
+    .map((token) => token.trim())
+    .filter(Boolean),
+});
+
+const http = startHttpServer({
   database,
+  recordingRoot,
+  webRoot,
+  port,
+  liveTranscriber: bot.liveTranscriber,
+  reprocessor: bot.reprocessor,
+  authConfig: {
+    clientId: process.env.DISCORD_CLIENT_ID,
+    clientSecret: process.env.DISCORD_CLIENT_SECRET,
+    publicUrl: process.env.PUBLIC_URL,
+    participantsOnly: process.env.WEB_PARTICIPANTS_ONLY === 'true',
+  },
 });
 
 bot
@@ -52,6 +113,7 @@ bot
 
 const shutdown = () => {
   console.log('Shutting down...');
+  bot.retention.stop();
   http.server.close(() => {
     console.log('HTTP server closed.');
     process.exit(0);
@@ -0,0 +1,150 @@
+const JOB_STATUS = Object.freeze({
+  PENDING: 'pending',
+  MIXING: 'mixing',
+  TRANSCRIBING: 'transcribing',
+  SUMMARIZING: 'summarizing',
+  SAVING: 'saving',
+  SAVED: 'saved',
+  FAILED: 'failed',
+});
+
+const FINAL_STATUSES = new Set([JOB_STATUS.SAVED, JOB_STATUS.FAILED]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const delay = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+class ProcessingQueue {
+  constructor({ database, steps, maxAttempts, retryDelayMs, retentionDays } = {}) {
+    this.database = database ?? null;
+    this.steps = steps ?? {};
+    this.maxAttempts = Number.isFinite(maxAttempts) && maxAttempts > 0 ? maxAttempts : 3;
+    this.retryDelayMs = Number.isFinite(retryDelayMs) && retryDelayMs >= 0 ? retryDelayMs : 15_000;
+    // Finished jobs are only kept for troubleshooting; 0 keeps them forever.
+    this.retentionDays = Number.isFinite(retentionDays) && retentionDays >= 0 ? retentionDays : 30;
+    this.jobs = new Map();
+    this.running = new Map();
+  }
+
+  enqueue({ sessionId, guildId, channelId, notifyChannelId, manifest, metadata }) {
+    const now = Date.now();
+    const job = {
+      sessionId,
+      guildId: guildId ?? null,
+      channelId: channelId ?? null,
+      notifyChannelId: notifyChannelId ?? null,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      stepAttempts: 0,
+      lastError: null,
+      manifest,
+      metadata: metadata ?? null,
+      mixdownPath: null,
+      transcriptionResult: null,
+      summaryResult: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this._pruneFinished(now);
+    this.database?.createJob(job);
+    this.jobs.set(sessionId, job);
+    return this.run(sessionId);
+  }
+
+  run(sessionId) {
+    const inFlight = this.running.get(sessionId);
+    if (inFlight) {
+      return inFlight;
+    }
+
+    const job = this.jobs.get(sessionId) ?? this.database?.getJob(sessionId) ?? null;
+    if (!job) {
+      return Promise.reject(new Error(`No processing job found for session ${sessionId}`));
+    }
+    this.jobs.set(sessionId, job);
+
+    const promise = this._process(job).finally(() => {
+      this.running.delete(sessionId);
+      if (FINAL_STATUSES.has(job.status)) {
+        this.jobs.delete(sessionId);
+      }
+    });
+    this.running.set(sessionId, promise);
+    return promise;
+  }
+
+  listUnfinished() {
+    if (this.database) {
+      return this.database.listUnfinishedJobs();
+    }
+    return Array.from(this.jobs.values()).filter((job) => !FINAL_STATUSES.has(job.status));
+  }
+
+  async _process(job) {
+    if (job.status === JOB_STATUS.PENDING) {
+      this._update(job, { status: JOB_STATUS.MIXING });
+    }
+
+    while (!FINAL_STATUSES.has(job.status)) {
+      const step = this.steps[job.status];
+      if (!step) {
+        this._update(job, { status: JOB_STATUS.FAILED, lastError: `Unknown job status: ${job.status}` });
+        break;
+      }
+
+      // `attempts` counts failures over the whole job; the limit applies to
+      // `stepAttempts`, which starts over at each step.
+      try {
+        const changes = await step.run(job);
+        this._update(job, { ...changes, status: step.next, stepAttempts: 0 });
+      } catch (error) {
+        const attempts = (job.attempts ?? 0) + 1;
+        const stepAttempts = (job.stepAttempts ?? 0) + 1;
+        const lastError = error?.message ?? String(error);
+        console.error(`Processing step "${job.status}" failed for session ${job.sessionId} (attempt ${stepAttempts}/${this.maxAttempts}):`, error);
+
+        if (stepAttempts < this.maxAttempts) {
+          this._update(job, { attempts, stepAttempts, lastError });
+          await delay(this.retryDelayMs * 2 ** (stepAttempts - 1));
+          continue;
+        }
+
+        if (step.fallback) {
+          // Optional steps degrade instead of failing the whole job so the
+          // session is still saved with whatever was produced.
+          this._update(job, { ...step.fallback(job, error), status: step.next, attempts, stepAttempts: 0, lastError });
+          continue;
+        }
+
+        this._update(job, { status: JOB_STATUS.FAILED, attempts, stepAttempts, lastError });
+      }
+    }
+
+    return job;
+  }
+
+  _pruneFinished(now) {
+    if (!this.retentionDays || !this.database) {
+      return;
+    }
+    try {
+      this.database.pruneFinishedJobs(now - this.retentionDays * DAY_MS);
+    } catch (error) {
+      console.error('Failed to prune finished processing jobs:', error);
+    }
+  }
+
+  _update(job, changes) {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    try {
+      this.database?.updateJob(job);
+    } catch (error) {
+      console.error(`Failed to persist processing job ${job.sessionId}:`, error);
+    }
+  }
+}
+
+module.exports = { ProcessingQueue, JOB_STATUS };
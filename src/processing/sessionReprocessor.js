@@ -0,0 +1,176 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { resolveGuildSettings } = require('../settings/guildSettings');
+
+const BURST_FILE_PATTERN = /^(\d+)\.(pcm|ogg)$/;
+
+async function listEntries(directory) {
+  try {
+    return await fsp.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Recreates the capture manifest of a finished session from the bursts left
+// in tmp/<guildId>/<sessionId>/<userId>/<startedAt>.<pcm|ogg>.
+async function buildManifestFromDisk({ recordingRoot, guildId, sessionId, labels = {}, pauses = [] }) {
+  const root = path.resolve(recordingRoot);
+  const directory = path.resolve(root, String(guildId), String(sessionId));
+  if (path.dirname(path.dirname(directory)) !== root) {
+    return null;
+  }
+
+  const recordings = {};
+  let format = null;
+  for (const userEntry of await listEntries(directory)) {
+    if (!userEntry.isDirectory()) {
+      continue;
+    }
+    const userId = userEntry.name;
+    const items = [];
+    for (const fileEntry of await listEntries(path.join(directory, userId))) {
+      const match = fileEntry.isFile() ? BURST_FILE_PATTERN.exec(fileEntry.name) : null;
+      if (match) {
+        items.push({ filePath: path.join(directory, userId, fileEntry.name), startedAt: Number(match[1]) });
+        format ??= match[2];
+      }
+    }
+    if (items.length) {
+      recordings[userId] = items.sort((a, b) => a.startedAt - b.startedAt);
+    }
+  }
+
+  if (!Object.keys(recordings).length) {
+    return null;
+  }
+  return {
+    guildId,
+    sessionId,
+    directory,
+    format: format ?? 'pcm',
+    recordings,
+    labels: Object.fromEntries(Object.keys(recordings).map((userId) => [userId, labels[userId] ?? userId])),
+    pauses,
+  };
+}
+
+// Re-runs transcription or summarization for a session that was already
+// saved. The previous transcript and summary are kept as a session version.
+class SessionReprocessor {
+  constructor({ database, recordingRoot, getTranscriptionClient, summarize, isSessionBusy }) {
+    this.database = database;
+    this.recordingRoot = recordingRoot;
+    this.getTranscriptionClient = getTranscriptionClient;
+    this.summarize = summarize;
+    this.isSessionBusy = isSessionBusy ?? (() => false);
+    this.running = new Set();
+  }
+
+  isRunning(sessionId) {
+    return this.running.has(sessionId);
+  }
+
+  // Settings captured when the call was recorded, or the current ones for
+  // sessions whose processing job is gone.
+  _settingsFor(session) {
+    return this.database.getJob(session.id)?.metadata?.settings
+      ?? resolveGuildSettings(this.database, session.guildId);
+  }
+
+  async _exclusive(sessionId, task) {
+    const detail = this.database.getSessionDetail(sessionId);
+    if (!detail) {
+      return { status: 'not_found', reason: 'Session not found' };
+    }
+    if (this.running.has(sessionId) || this.isSessionBusy(detail.session.guildId, sessionId)) {
+      return { status: 'busy', reason: 'The session is still being recorded or processed' };
+    }
+
+    this.running.add(sessionId);
+    try {
+      return await task(detail);
+    } catch (error) {
+      console.error(`Reprocessing failed for session ${sessionId}:`, error);
+      return { status: 'failed', reason: error.message };
+    } finally {
+      this.running.delete(sessionId);
+    }
+  }
+
+  async retranscribe(sessionId) {
+    return this._exclusive(sessionId, async ({ session, participants, pauses }) => {
+      const labels = Object.fromEntries(participants.map((participant) => [participant.userId, participant.displayName]));
+      const manifest = await buildManifestFromDisk({
+        recordingRoot: this.recordingRoot,
+        guildId: session.guildId,
+        sessionId,
+        labels,
+        pauses,
+      });
+      if (!manifest) {
+        return { status: 'unavailable', reason: 'The raw audio of this session is no longer on disk' };
+      }
+
+      const transcriptionClient = this.getTranscriptionClient(this._settingsFor(session));
+      const result = await transcriptionClient.submit(manifest);
+      if (result.status !== 'sent') {
+        return { status: 'failed', reason: result.reason ?? 'Transcription did not complete' };
+      }
+
+      const segments = result.data.segments.map((segment) => ({
+        id: segment.id,
+        sessionId,
+        userId: segment.userId ?? null,
+        label: segment.label ?? null,
+        startedAt: segment.startedAt ?? null,
+        text: segment.text ?? '',
+        audioPath: segment.audioPath ? path.relative(this.recordingRoot, segment.audioPath) : null,
+        timings: segment.timings ?? [],
+      }));
+      const version = this.database.replaceSessionTranscript(sessionId, {
+        transcript: result.data.transcript,
+        segments,
+      });
+      return { status: 'saved', versionId: version, segmentCount: segments.length };
+    });
+  }
+
+  async resummarize(sessionId, { template } = {}) {
+    return this._exclusive(sessionId, async ({ session, participants, segments }) => {
+      if (!session.transcript?.trim()) {
+        return { status: 'unavailable', reason: 'The session has no transcript to summarize' };
+      }
+
+      const settings = { ...this._settingsFor(session) };
+      if (template) {
+        settings.summaryTemplate = template;
+      }
+      const result = await this.summarize({
+        transcriptionResult: { data: { transcript: session.transcript, segments } },
+        metadata: {
+          guildName: session.guildName,
+          channelName: session.channelName,
+          startedAt: session.startedAt,
+          participants,
+          settings,
+        },
+        manifest: null,
+      });
+      if (result.status !== 'summarized') {
+        return { status: 'failed', reason: result.reason ?? 'Summarization did not complete' };
+      }
+
+      const version = this.database.replaceSessionSummary(sessionId, {
+        summary: result.summary,
+        structuredSummary: result.structured ?? null,
+      });
+      return { status: 'saved', versionId: version };
+    });
+  }
+}
+
+module.exports = { SessionReprocessor, buildManifestFromDisk };
@@ -4,9 +4,11 @@ const path = require('path');
 const { pipeline } = require('stream');
 const { EndBehaviorType } = require('@discordjs/voice');
 const prism = require('prism-media');
+const { OggOpusWriter } = require('./oggOpus');
+const { normalizeRecordingFormat } = require('./audioFormats');
 
 class AudioCaptureSession {
-  constructor({ connection, guildId, baseDir, resolveLabel }) {
+  constructor({ connection, guildId, sessionId, baseDir, resolveLabel, onBurstComplete, isUserExcluded, format }) {
     this.connection = connection;
     this.guildId = guildId;
     this.baseDir = baseDir;
@@ -14,8 +16,16 @@ class AudioCaptureSession {
     this.labels = new Map();
     this.activeCaptures = new Map();
     this.resolveLabel = resolveLabel ?? (() => null);
+    this.onBurstComplete = onBurstComplete ?? null;
+    this.isUserExcluded = isUserExcluded ?? (() => false);
+    // userId -> label of everyone whose audio was withheld, for the manifest.
+    this.excluded = new Map();
+    this.format = normalizeRecordingFormat(format);
     this.cleanups = [];
-    this.sessionId = `${Date.now()}`;
+    this.paused = false;
+    // { startedAt, endedAt } for every pause; endedAt is null while paused.
+    this.pauses = [];
+    this.sessionId = sessionId;
     this.sessionDir = path.join(this.baseDir, this.guildId, this.sessionId);
   }
 
@@ -31,17 +41,28 @@ class AudioCaptureSession {
       if (!userId) {
         return;
       }
-      if (this.activeCaptures.has(userId)) {
+      if (this.paused || this.activeCaptures.has(userId)) {
+        return;
+      }
+      // Checked before subscribing so an opted-out speaker's audio is never
+      // received, let alone written.
+      if (this.isUserExcluded(userId)) {
+        this._noteExcluded(userId);
         return;
       }
 
       const startedAt = Date.now();
-      this.activeCaptures.set(userId, { startedAt });
+      const capture = { startedAt, opusStream: null };
+      this.activeCaptures.set(userId, capture);
       let fileStream;
 
       try {
         const userDir = path.join(this.sessionDir, userId);
         await fsp.mkdir(userDir, { recursive: true });
+        if (this.activeCaptures.get(userId) !== capture) {
+          // excludeUser ran while the directory was being created.
+          return;
+        }
 
         const opusStream = receiver.subscribe(userId, {
           end: {
@@ -49,25 +70,46 @@ class AudioCaptureSession {
             duration: 1000,
           },
         });
+        capture.opusStream = opusStream;
 
-        const pcmStream = new prism.opus.Decoder({
-          frameSize: 960,
-          channels: 2,
-          rate: 48000,
-        });
+        // Receiver packets are already Opus, so Ogg storage just wraps them;
+        // PCM storage decodes to 48 kHz stereo s16le.
+        const encodedStream = this.format === 'ogg'
+          ? new OggOpusWriter()
+          : new prism.opus.Decoder({
+              frameSize: 960,
+              channels: 2,
+              rate: 48000,
+            });
 
-        const filename = `${startedAt}.pcm`;
+        const filename = `${startedAt}.${this.format}`;
         const filePath = path.join(userDir, filename);
         fileStream = fs.createWriteStream(filePath);
 
-        pipeline(opusStream, pcmStream, fileStream, (error) => {
+        pipeline(opusStream, encodedStream, fileStream, (error) => {
           if (error) {
             // ERR_STREAM_PREMATURE_CLOSE is expected during shutdown/cleanup
             if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
               console.error(`Audio pipeline error for ${userId}:`, error);
             }
           }
-          this.activeCaptures.delete(userId);
+          if (this.activeCaptures.get(userId) === capture) {
+            this.activeCaptures.delete(userId);
+          }
+
+          if (!error && this.onBurstComplete) {
+            try {
+              this.onBurstComplete({
+                userId,
+                label: this.labels.get(userId) ?? userId,
+                filePath,
+                startedAt,
+                endedAt: Date.now(),
+              });
+            } catch (callbackError) {
+              console.error(`Burst completion handler failed for ${userId}:`, callbackError);
+            }
+          }
         });
 
         const recordings = this.recordings.get(userId) ?? [];
@@ -99,11 +141,62 @@ class AudioCaptureSession {
     this.cleanups.push(() => receiver.speaking.off('start', speakingStart));
   }
 
+  // Returns false when the session already was in the requested state.
+  setPaused(paused) {
+    if (this.paused === Boolean(paused)) {
+      return false;
+    }
+    this.paused = Boolean(paused);
+    const now = Date.now();
+    if (!this.paused) {
+      this.pauses[this.pauses.length - 1].endedAt = now;
+      return true;
+    }
+
+    this.pauses.push({ startedAt: now, endedAt: null });
+    // End bursts in progress as if the speaker had gone quiet, so nothing
+    // said after the pause is written and the finished parts are kept.
+    for (const capture of this.activeCaptures.values()) {
+      capture.opusStream?.push(null);
+    }
+    return true;
+  }
+
+  get pausedSince() {
+    return this.paused ? this.pauses[this.pauses.length - 1].startedAt : null;
+  }
+
+  get pausedMs() {
+    const now = Date.now();
+    return this.pauses.reduce((total, pause) => total + ((pause.endedAt ?? now) - pause.startedAt), 0);
+  }
+
+  _noteExcluded(userId) {
+    if (!this.excluded.has(userId)) {
+      this.excluded.set(userId, this.labels.get(userId) ?? this.resolveLabel(userId) ?? userId);
+    }
+  }
+
+  // Called when someone opts out mid-call: stop their current burst and drop
+  // everything already captured for them in this session.
+  async excludeUser(userId) {
+    this._noteExcluded(userId);
+
+    const capture = this.activeCaptures.get(userId);
+    capture?.opusStream?.destroy();
+    this.activeCaptures.delete(userId);
+
+    this.recordings.delete(userId);
+    this.labels.delete(userId);
+    await fsp.rm(path.join(this.sessionDir, userId), { recursive: true, force: true });
+  }
+
   getManifest() {
     return {
       guildId: this.guildId,
       sessionId: this.sessionId,
       directory: this.sessionDir,
+      format: this.format,
       recordings: Object.fromEntries(
         Array.from(this.recordings.entries()).map(([userId, items]) => [
           userId,
@@ -114,10 +207,15 @@ class AudioCaptureSession {
         ]),
       ),
       labels: Object.fromEntries(this.labels),
+      excluded: Array.from(this.excluded, ([userId, label]) => ({ userId, label })),
+      pauses: this.pauses.map((pause) => ({ ...pause })),
     };
   }
 
   async destroy() {
+    if (this.paused) {
+      this.setPaused(false);
+    }
     while (this.cleanups.length) {
       const disposer = this.cleanups.pop();
       try {
@@ -129,40 +227,59 @@ class AudioCaptureSession {
   }
 }
 
+// Capture sessions are keyed by session id, so one guild can have several
+// running at once (one per voice channel).
 class AudioCaptureManager {
-  constructor({ baseDir }) {
+  constructor({ baseDir, format }) {
     this.baseDir = baseDir;
+    this.format = normalizeRecordingFormat(format);
     this.sessions = new Map();
   }
 
-  async start(connection, guildId, options = {}) {
-    if (this.sessions.has(guildId)) {
-      return this.sessions.get(guildId);
+  // The session id is the capture start time, which is also the origin of the
+  // mixdown timeline; it is nudged forward when two captures start in the same
+  // millisecond.
+  _nextSessionId() {
+    let timestamp = Date.now();
+    while (this.sessions.has(`${timestamp}`)) {
+      timestamp += 1;
     }
+    return `${timestamp}`;
+  }
 
+  async start(connection, guildId, options = {}) {
     const session = new AudioCaptureSession({
       connection,
       guildId,
+      sessionId: this._nextSessionId(),
       baseDir: this.baseDir,
       resolveLabel: options.resolveLabel,
+      onBurstComplete: options.onBurstComplete,
+      isUserExcluded: options.isUserExcluded,
+      format: this.format,
     });
-    await session.init();
-    this.sessions.set(guildId, session);
+    this.sessions.set(session.sessionId, session);
+    try {
+      await session.init();
+    } catch (error) {
+      this.sessions.delete(session.sessionId);
+      throw error;
+    }
     return session;
   }
 
-  async stop(guildId) {
-    const session = this.sessions.get(guildId);
+  async stop(sessionId) {
+    const session = this.sessions.get(sessionId);
     if (!session) {
       return null;
     }
     await session.destroy();
-    this.sessions.delete(guildId);
+    this.sessions.delete(sessionId);
     return session.getManifest();
   }
 
-  get(guildId) {
-    return this.sessions.get(guildId) ?? null;
+  get(sessionId) {
+    return this.sessions.get(sessionId) ?? null;
   }
 }
 
@@ -0,0 +1,47 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { decodeOggOpusFile } = require('./oggOpus');
+
+const RECORDING_FORMATS = ['pcm', 'ogg'];
+const MIXDOWN_FORMATS = ['wav', 'ogg'];
+
+function normalizeFormat(value, allowed, fallback) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!normalized) {
+    return fallback;
+  }
+  if (!allowed.includes(normalized)) {
+    console.warn(`Unsupported audio format "${value}", falling back to ${fallback}`);
+    return fallback;
+  }
+  return normalized;
+}
+
+function normalizeRecordingFormat(value) {
+  return normalizeFormat(value, RECORDING_FORMATS, 'pcm');
+}
+
+function normalizeMixdownFormat(value) {
+  return normalizeFormat(value, MIXDOWN_FORMATS, 'wav');
+}
+
+function isOggFile(filePath) {
+  return path.extname(filePath).toLowerCase() === '.ogg';
+}
+
+// Returns 48 kHz stereo s16le PCM for a recorded burst, decoding Ogg/Opus on demand.
+async function readPcmFile(filePath) {
+  if (isOggFile(filePath)) {
+    return decodeOggOpusFile(filePath);
+  }
+  return fsp.readFile(filePath);
+}
+
+module.exports = {
+  RECORDING_FORMATS,
+  MIXDOWN_FORMATS,
+  normalizeRecordingFormat,
+  normalizeMixdownFormat,
+  isOggFile,
+  readPcmFile,
+};
@@ -1,5 +1,11 @@
+const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { isOggFile, normalizeMixdownFormat } = require('./audioFormats');
+const { createOggOpusDecodeStream, encodePcmToOggOpus } = require('./oggOpus');
 
 const SAMPLE_RATE = 48_000;
 const CHANNELS = 2;
@@ -44,100 +50,206 @@ function resolveSessionStart(manifest) {
   if (!candidates.length) {
     return Date.now();
   }
-  return Math.min(...candidates);
+  return candidates.reduce((min, value) => Math.min(min, value));
 }
 
-async function mixSessionAudio({ manifest, outputPath } = {}) {
-  if (!manifest) {
-    return null;
-  }
-
-  const recordings = manifest.recordings ?? {};
-  const userEntries = Object.entries(recordings);
-  if (!userEntries.length) {
-    return null;
-  }
+// Size of the timeline window mixed at once; memory use is bounded by this
+// rather than by the length of the call.
+const WINDOW_FRAMES = SAMPLE_RATE * 10;
+const MAX_WAV_DATA_BYTES = 0xffffffff - 36;
 
-  const sessionDir = manifest.directory ? path.resolve(manifest.directory) : null;
-  if (!sessionDir) {
-    return null;
-  }
-
-  const sessionStart = resolveSessionStart(manifest);
-  const segments = [];
+async function decodeToTemporaryPcm(filePath, tempDir) {
+  await fsp.mkdir(tempDir, { recursive: true });
+  const tempPath = path.join(tempDir, `${crypto.randomUUID()}.pcm`);
+  await pipeline(createOggOpusDecodeStream(filePath), fs.createWriteStream(tempPath));
+  return tempPath;
+}
 
-  for (const items of userEntries.map(([, value]) => value)) {
+async function collectSources(manifest, sessionStart, tempDir) {
+  const sources = [];
+  for (const items of Object.values(manifest.recordings ?? {})) {
     for (const item of items) {
       if (!item?.filePath) {
         continue;
       }
       try {
         const filePath = path.resolve(item.filePath);
-        const buffer = await fsp.readFile(filePath);
-        if (!buffer.length || buffer.length % FRAME_BYTES !== 0) {
+        const pcmPath = isOggFile(filePath)
+          ? await decodeToTemporaryPcm(filePath, tempDir)
+          : filePath;
+        const { size } = await fsp.stat(pcmPath);
+        if (!size || size % FRAME_BYTES !== 0) {
           continue;
         }
-        const sampleFrames = buffer.length / FRAME_BYTES;
         const startedAt = item.startedAt ?? sessionStart;
         const offsetMs = Math.max(0, startedAt - sessionStart);
-        const offsetSamples = Math.max(0, Math.round((offsetMs / 1000) * SAMPLE_RATE));
-        segments.push({ buffer, sampleFrames, offsetSamples });
+        sources.push({
+          pcmPath,
+          frameCount: size / FRAME_BYTES,
+          offsetFrames: Math.max(0, Math.round((offsetMs / 1000) * SAMPLE_RATE)),
+          handle: null,
+        });
       } catch (error) {
         console.error('Failed to read PCM for mixdown:', error);
       }
     }
   }
+  sources.sort((a, b) => a.offsetFrames - b.offsetFrames);
+  return sources;
+}
 
-  if (!segments.length) {
-    return null;
+// Frame ranges of the timeline during which the recording was paused.
+function resolvePausedRanges(manifest, sessionStart) {
+  const toFrame = (timestamp) => Math.max(0, Math.round(((timestamp - sessionStart) / 1000) * SAMPLE_RATE));
+  return (manifest.pauses ?? [])
+    .filter((pause) => Number.isFinite(pause?.startedAt) && Number.isFinite(pause?.endedAt))
+    .map((pause) => ({ from: toFrame(pause.startedAt), to: toFrame(pause.endedAt) }));
+}
+
+async function* mixWindows(sources, totalFrames, pausedRanges = []) {
+  const mixBuffer = new Int32Array(WINDOW_FRAMES * CHANNELS);
+  const readBuffer = Buffer.alloc(WINDOW_FRAMES * FRAME_BYTES);
+  const readView = new Int16Array(readBuffer.buffer, readBuffer.byteOffset, readBuffer.length / BYTES_PER_SAMPLE);
+  const active = [];
+  let nextSource = 0;
+
+  try {
+    for (let windowStart = 0; windowStart < totalFrames; windowStart += WINDOW_FRAMES) {
+      const windowEnd = Math.min(windowStart + WINDOW_FRAMES, totalFrames);
+      const windowFrames = windowEnd - windowStart;
+      mixBuffer.fill(0, 0, windowFrames * CHANNELS);
+
+      while (nextSource < sources.length && sources[nextSource].offsetFrames < windowEnd) {
+        const source = sources[nextSource];
+        nextSource += 1;
+        try {
+          source.handle = await fsp.open(source.pcmPath, 'r');
+          active.push(source);
+        } catch (error) {
+          console.error('Failed to open PCM for mixdown:', error);
+        }
+      }
+
+      for (const source of active) {
+        const sourceEnd = source.offsetFrames + source.frameCount;
+        const from = Math.max(windowStart, source.offsetFrames);
+        const to = Math.min(windowEnd, sourceEnd);
+        if (to <= from) {
+          continue;
+        }
+
+        const byteLength = (to - from) * FRAME_BYTES;
+        const { bytesRead } = await source.handle.read(
+          readBuffer,
+          0,
+          byteLength,
+          (from - source.offsetFrames) * FRAME_BYTES,
+        );
+        const samples = Math.floor(bytesRead / BYTES_PER_SAMPLE);
+        const mixStart = (from - windowStart) * CHANNELS;
+        for (let i = 0; i < samples; i += 1) {
+          mixBuffer[mixStart + i] += readView[i];
+        }
+      }
+
+      for (let i = active.length - 1; i >= 0; i -= 1) {
+        if (active[i].offsetFrames + active[i].frameCount <= windowEnd) {
+          await active[i].handle.close();
+          active.splice(i, 1);
+        }
+      }
+
+      // Anything that overran into a pause is left out, so pauses are
+      // silent in the mixdown just as they are missing from the transcript.
+      for (const range of pausedRanges) {
+        const from = Math.max(windowStart, range.from);
+        const to = Math.min(windowEnd, range.to);
+        if (to > from) {
+          mixBuffer.fill(0, (from - windowStart) * CHANNELS, (to - windowStart) * CHANNELS);
+        }
+      }
+
+      const outputPcm = Buffer.alloc(windowFrames * FRAME_BYTES);
+      for (let i = 0; i < windowFrames * CHANNELS; i += 1) {
+        let sample = mixBuffer[i];
+        if (sample > 32767) {
+          sample = 32767;
+        } else if (sample < -32768) {
+          sample = -32768;
+        }
+        outputPcm.writeInt16LE(sample, i * BYTES_PER_SAMPLE);
+      }
+      yield outputPcm;
+    }
+  } finally {
+    await Promise.all(active.map((source) => source.handle.close().catch(() => {})));
   }
+}
 
-  let totalSamples = 0;
-  for (const segment of segments) {
-    const segmentEnd = segment.offsetSamples + segment.sampleFrames;
-    if (segmentEnd > totalSamples) {
-      totalSamples = segmentEnd;
+async function writeWavStream(windows, finalPath) {
+  const handle = await fsp.open(finalPath, 'w');
+  try {
+    // Write a placeholder header, stream the samples, then patch the sizes in.
+    await handle.write(createWavHeader(0), 0, 44, 0);
+    let dataLength = 0;
+    for await (const chunk of windows) {
+      await handle.write(chunk, 0, chunk.length, 44 + dataLength);
+      dataLength += chunk.length;
     }
+    const header = createWavHeader(Math.min(dataLength, MAX_WAV_DATA_BYTES));
+    await handle.write(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
   }
+}
 
-  if (totalSamples === 0) {
+async function mixSessionAudio({ manifest, outputPath, format } = {}) {
+  if (!manifest) {
     return null;
   }
 
-  const mixBuffer = new Int32Array(totalSamples * CHANNELS);
+  const recordings = manifest.recordings ?? {};
+  if (!Object.keys(recordings).length) {
+    return null;
+  }
 
-  for (const segment of segments) {
-    const view = new Int16Array(segment.buffer.buffer, segment.buffer.byteOffset, segment.buffer.length / BYTES_PER_SAMPLE);
-    const startIndex = segment.offsetSamples * CHANNELS;
-    for (let i = 0; i < view.length; i += 1) {
-      const mixIndex = startIndex + i;
-      if (mixIndex >= mixBuffer.length) {
-        break;
-      }
-      mixBuffer[mixIndex] += view[i];
-    }
+  const sessionDir = manifest.directory ? path.resolve(manifest.directory) : null;
+  if (!sessionDir) {
+    return null;
   }
 
-  const outputPcm = Buffer.alloc(totalSamples * FRAME_BYTES);
-  for (let i = 0; i < mixBuffer.length; i += 1) {
-    let sample = mixBuffer[i];
-    if (sample > 32767) {
-      sample = 32767;
-    } else if (sample < -32768) {
-      sample = -32768;
+  const sessionStart = resolveSessionStart(manifest);
+  const tempDir = path.join(sessionDir, '.mixdown-tmp');
+
+  try {
+    const sources = await collectSources(manifest, sessionStart, tempDir);
+    if (!sources.length) {
+      return null;
     }
-    outputPcm.writeInt16LE(sample, i * BYTES_PER_SAMPLE);
-  }
 
-  const wavHeader = createWavHeader(outputPcm.length);
-  const wavBuffer = Buffer.concat([wavHeader, outputPcm]);
+    let totalFrames = 0;
+    for (const source of sources) {
+      totalFrames = Math.max(totalFrames, source.offsetFrames + source.frameCount);
+    }
+    if (totalFrames === 0) {
+      return null;
+    }
 
-  const finalPath = outputPath
-    ? path.resolve(outputPath)
-    : path.join(sessionDir, 'mixdown.wav');
+    const outputFormat = normalizeMixdownFormat(format);
+    const finalPath = outputPath
+      ? path.resolve(outputPath)
+      : path.join(sessionDir, `mixdown.${outputFormat}`);
 
-  await fsp.writeFile(finalPath, wavBuffer);
-  return finalPath;
+    const windows = mixWindows(sources, totalFrames, resolvePausedRanges(manifest, sessionStart));
+    if (outputFormat === 'ogg') {
+      await encodePcmToOggOpus(Readable.from(windows), finalPath);
+    } else {
+      await writeWavStream(windows, finalPath);
+    }
+    return finalPath;
+  } finally {
+    await fsp.rm(tempDir, { recursive: true, force: true });
+  }
 }
 
 module.exports = { mixSessionAudio };
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const prism = require('prism-media');
+
+const OPUS_SAMPLE_RATE = 48_000;
+const OPUS_CHANNELS = 2;
+const OPUS_FRAME_SIZE = 960;
+const MAX_SEGMENTS_PER_PAGE = 255;
+const PACKETS_PER_PAGE = 50;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ buffer[i]) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// Number of 48 kHz samples in an Opus packet, derived from its TOC byte (RFC 6716 §3.1).
+function opusPacketSamples(packet) {
+  if (!packet?.length) {
+    return 0;
+  }
+  const toc = packet[0];
+  const config = toc >> 3;
+  let frameSamples;
+  if (config < 12) {
+    frameSamples = [480, 960, 1920, 2880][config % 4];
+  } else if (config < 16) {
+    frameSamples = [480, 960][config % 2];
+  } else {
+    frameSamples = [120, 240, 480, 960][config % 4];
+  }
+
+  const code = toc & 0x03;
+  let frames = 1;
+  if (code === 1 || code === 2) {
+    frames = 2;
+  } else if (code === 3) {
+    frames = packet.length > 1 ? packet[1] & 0x3f : 0;
+  }
+  return frames * frameSamples;
+}
+
+function createOpusHead({ channels, preSkip, inputSampleRate }) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0);
+  head.writeUInt8(1, 8);
+  head.writeUInt8(channels, 9);
+  head.writeUInt16LE(preSkip, 10);
+  head.writeUInt32LE(inputSampleRate, 12);
+  head.writeInt16LE(0, 16);
+  head.writeUInt8(0, 18);
+  return head;
+}
+
+function createOpusTags(vendor) {
+  const vendorBuffer = Buffer.from(vendor, 'utf8');
+  const tags = Buffer.alloc(8 + 4 + vendorBuffer.length + 4);
+  tags.write('OpusTags', 0);
+  tags.writeUInt32LE(vendorBuffer.length, 8);
+  vendorBuffer.copy(tags, 12);
+  tags.writeUInt32LE(0, 12 + vendorBuffer.length);
+  return tags;
+}
+
+// Wraps raw Opus packets (as emitted by the voice receiver or prism's encoder)
+// into an Ogg Opus bitstream (RFC 7845) without re-encoding.
+class OggOpusWriter extends Transform {
+  constructor({ channels = OPUS_CHANNELS, preSkip = 0, inputSampleRate = OPUS_SAMPLE_RATE } = {}) {
+    super({ writableObjectMode: true });
+    this.channels = channels;
+    this.preSkip = preSkip;
+    this.inputSampleRate = inputSampleRate;
+    this.serial = crypto.randomBytes(4).readUInt32LE(0);
+    this.sequence = 0;
+    this.granulePosition = 0;
+    this.pending = [];
+    this.pendingSegments = 0;
+    this.headerWritten = false;
+  }
+
+  _writeHeaders() {
+    this.push(this._page([createOpusHead(this)], { granule: 0, bos: true }));
+    this.push(this._page([createOpusTags('call_transcribe')], { granule: 0 }));
+    this.headerWritten = true;
+  }
+
+  _transform(packet, encoding, callback) {
+    if (!this.headerWritten) {
+      this._writeHeaders();
+    }
+    if (!packet?.length) {
+      callback();
+      return;
+    }
+
+    const segments = Math.floor(packet.length / 255) + 1;
+    if (this.pending.length && this.pendingSegments + segments > MAX_SEGMENTS_PER_PAGE) {
+      this._flushPage();
+    }
+
+    this.granulePosition += opusPacketSamples(packet);
+    this.pending.push(packet);
+    this.pendingSegments += segments;
+
+    if (this.pending.length >= PACKETS_PER_PAGE) {
+      this._flushPage();
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.headerWritten) {
+      this._writeHeaders();
+    }
+    this._flushPage({ eos: true });
+    callback();
+  }
+
+  _flushPage({ eos = false } = {}) {
+    if (!this.pending.length && !eos) {
+      return;
+    }
+    this.push(this._page(this.pending, { granule: this.granulePosition, eos }));
+    this.pending = [];
+    this.pendingSegments = 0;
+  }
+
+  _page(packets, { granule, bos = false, eos = false }) {
+    const lacing = [];
+    for (const packet of packets) {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0);
+    header.writeUInt8(0, 4);
+    header.writeUInt8((bos ? 0x02 : 0) | (eos ? 0x04 : 0), 5);
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(this.serial, 14);
+    header.writeUInt32LE(this.sequence, 18);
+    header.writeUInt32LE(0, 22);
+    header.writeUInt8(lacing.length, 26);
+    Buffer.from(lacing).copy(header, 27);
+    this.sequence += 1;
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+  }
+}
+
+function createOggOpusDecodeStream(filePath) {
+  const decoder = new prism.opus.Decoder({
+    frameSize: OPUS_FRAME_SIZE,
+    channels: OPUS_CHANNELS,
+    rate: OPUS_SAMPLE_RATE,
+  });
+  const demuxer = new prism.opus.OggDemuxer();
+  const source = fs.createReadStream(filePath);
+  source.on('error', (error) => decoder.destroy(error));
+  demuxer.on('error', (error) => decoder.destroy(error));
+  return source.pipe(demuxer).pipe(decoder);
+}
+
+async function decodeOggOpusFile(filePath) {
+  const chunks = [];
+  for await (const chunk of createOggOpusDecodeStream(filePath)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function encodePcmToOggOpus(pcmSource, outputPath) {
+  const encoder = new prism.opus.Encoder({
+    frameSize: OPUS_FRAME_SIZE,
+    channels: OPUS_CHANNELS,
+    rate: OPUS_SAMPLE_RATE,
+  });
+  // libopus adds 312 samples of encoder lookahead at 48 kHz.
+  const writer = new OggOpusWriter({ preSkip: 312 });
+  await pipeline(pcmSource, encoder, writer, fs.createWriteStream(outputPath));
+  return outputPath;
+}
+
+module.exports = {
+  OPUS_FRAME_SIZE,
+  OggOpusWriter,
+  createOggOpusDecodeStream,
+  decodeOggOpusFile,
+  encodePcmToOggOpus,
+  opusPacketSamples,
+};
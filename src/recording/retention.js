@@ -0,0 +1,173 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { resolveGuildSettings } = require('../settings/guildSettings');
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function resolveSessionDirectory(recordingRoot, guildId, sessionId) {
+  if (!recordingRoot || !guildId || !sessionId) {
+    return null;
+  }
+  const root = path.resolve(recordingRoot);
+  const directory = path.resolve(root, String(guildId), String(sessionId));
+  // Ids come from the database, but never let one point outside the root.
+  if (path.dirname(path.dirname(directory)) !== root) {
+    return null;
+  }
+  return directory;
+}
+
+async function removeSessionDirectory(recordingRoot, guildId, sessionId) {
+  const directory = resolveSessionDirectory(recordingRoot, guildId, sessionId);
+  if (!directory) {
+    return false;
+  }
+  await fsp.rm(directory, { recursive: true, force: true });
+  return true;
+}
+
+async function listDirectories(directory) {
+  try {
+    const entries = await fsp.readdir(directory, { withFileTypes: true });
+    return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Applies the audio retention policies. Transcripts, summaries and the rest of
+// the database rows are never removed here; only files under the recording root.
+class RetentionScheduler {
+  constructor({ database, recordingRoot, audioRetentionDays, deleteRawAfterTranscription, isSessionBusy } = {}) {
+    this.database = database ?? null;
+    this.recordingRoot = recordingRoot ? path.resolve(recordingRoot) : null;
+    this.audioRetentionDays = Number.isFinite(audioRetentionDays) && audioRetentionDays > 0
+      ? Math.floor(audioRetentionDays)
+      : 0;
+    this.deleteRawAfterTranscription = Boolean(deleteRawAfterTranscription);
+    this.isSessionBusy = isSessionBusy ?? (() => false);
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  start() {
+    if (this.timer || !this.recordingRoot) {
+      return;
+    }
+    const run = () => {
+      this.sweep().catch((error) => {
+        console.error('Recording retention sweep failed:', error);
+      });
+    };
+    this.timer = setInterval(run, SWEEP_INTERVAL_MS);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _retentionDaysFor(guildId) {
+    const days = resolveGuildSettings(this.database, guildId).retentionDays;
+    return days ?? this.audioRetentionDays;
+  }
+
+  async sweep() {
+    if (!this.sweeping) {
+      this.sweeping = this._sweep().finally(() => {
+        this.sweeping = null;
+      });
+    }
+    return this.sweeping;
+  }
+
+  async _sweep(now = Date.now()) {
+    let removed = 0;
+    for (const guildId of await listDirectories(this.recordingRoot)) {
+      const days = this._retentionDaysFor(guildId);
+      if (!days) {
+        continue;
+      }
+      const cutoff = now - days * DAY_MS;
+      const guildDir = path.join(this.recordingRoot, guildId);
+
+      for (const sessionId of await listDirectories(guildDir)) {
+        // Session ids are the capture start timestamp; fall back to the
+        // directory mtime for anything that was not created by the bot.
+        let startedAt = Number.parseInt(sessionId, 10);
+        if (!Number.isFinite(startedAt) || String(startedAt) !== sessionId) {
+          const stats = await fsp.stat(path.join(guildDir, sessionId));
+          startedAt = stats.mtimeMs;
+        }
+        if (startedAt > cutoff || this.isSessionBusy(guildId, sessionId)) {
+          continue;
+        }
+
+        await removeSessionDirectory(this.recordingRoot, guildId, sessionId);
+        this.database?.clearSessionAudio(sessionId);
+        removed += 1;
+      }
+    }
+
+    if (removed) {
+      console.log(`Removed audio for ${removed} session(s) past their retention period`);
+    }
+    return removed;
+  }
+
+  // Drops the per-speaker bursts once the mixdown and transcript exist, along
+  // with WAVs uploaded by live transcription (the final pass replaced them).
+  async deleteRawAudio(manifest) {
+    if (!this.deleteRawAfterTranscription || !manifest) {
+      return 0;
+    }
+
+    const files = [];
+    for (const items of Object.values(manifest.recordings ?? {})) {
+      for (const item of items) {
+        if (item?.filePath) {
+          files.push(path.resolve(item.filePath));
+        }
+      }
+    }
+
+    const directory = manifest.directory ? path.resolve(manifest.directory) : null;
+    if (directory) {
+      for (const userId of Object.keys(manifest.recordings ?? {})) {
+        const segmentsDir = path.join(directory, userId, 'segments');
+        let entries = [];
+        try {
+          entries = await fsp.readdir(segmentsDir);
+        } catch (_) {
+          continue;
+        }
+        files.push(...entries
+          .filter((name) => name.endsWith('_live.wav'))
+          .map((name) => path.join(segmentsDir, name)));
+      }
+    }
+
+    let deleted = 0;
+    for (const filePath of files) {
+      try {
+        await fsp.unlink(filePath);
+        deleted += 1;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Failed to delete raw audio ${filePath}:`, error.message);
+        }
+      }
+    }
+    return deleted;
+  }
+}
+
+module.exports = { RetentionScheduler, removeSessionDirectory };
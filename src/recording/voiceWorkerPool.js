@@ -0,0 +1,70 @@
+const { Client, GatewayIntentBits } = require('discord.js');
+
+// Discord allows one voice connection per bot account and guild, so recording
+// several channels of one guild at once needs extra bot accounts. The primary
+// client is always the first worker; the extra ones never handle commands,
+// they only join voice channels when the coordinator hands them a recording.
+class VoiceWorkerPool {
+  constructor({ primaryClient, tokens = [] }) {
+    this.workers = [{ id: 'primary', client: primaryClient, token: null, guildIds: new Set() }];
+    tokens.forEach((token, index) => {
+      this.workers.push({
+        id: `worker-${index + 1}`,
+        client: new Client({
+          intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildVoiceStates],
+        }),
+        token,
+        guildIds: new Set(),
+      });
+    });
+  }
+
+  // Logs in the extra workers. One that fails is left out of the pool rather
+  // than stopping the bot.
+  async login() {
+    for (const worker of this.workers) {
+      if (!worker.token) {
+        continue;
+      }
+      try {
+        await worker.client.login(worker.token);
+        console.log(`Voice worker ${worker.id} logged in as ${worker.client.user.tag}`);
+      } catch (error) {
+        console.warn(`Voice worker ${worker.id} could not log in:`, error);
+      }
+    }
+  }
+
+  isWorkerUser(userId) {
+    return this.workers.some((worker) => worker.client.user?.id === userId);
+  }
+
+  _findFree(guildId) {
+    return this.workers.find((worker) => worker.client.isReady()
+      && worker.client.guilds.cache.has(guildId)
+      && !worker.guildIds.has(guildId)) ?? null;
+  }
+
+  hasFree(guildId) {
+    return Boolean(this._findFree(guildId));
+  }
+
+  // Reserves a worker that is a member of the guild and not already in one of
+  // its voice channels, or returns null when they are all busy.
+  acquire(guildId) {
+    const worker = this._findFree(guildId);
+    worker?.guildIds.add(guildId);
+    return worker;
+  }
+
+  release(worker, guildId) {
+    worker?.guildIds.delete(guildId);
+  }
+
+  countInGuild(guildId) {
+    return this.workers.filter((worker) => worker.client.isReady()
+      && worker.client.guilds.cache.has(guildId)).length;
+  }
+}
+
+module.exports = { VoiceWorkerPool };
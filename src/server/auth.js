@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const express = require('express');
+
+const DISCORD_API = 'https://discord.com/api/v10';
+const SESSION_COOKIE = 'ct_session';
+const STATE_COOKIE = 'ct_oauth_state';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (name) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (_) {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeReturnPath(value) {
+  // Only same-origin paths; "//host" would be treated as a protocol-relative URL.
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+}
+
+async function discordRequest(pathname, init) {
+  const response = await fetch(`${DISCORD_API}${pathname}`, init);
+  if (!response.ok) {
+    throw new Error(`Discord responded with ${response.status} for ${pathname}`);
+  }
+  return response.json();
+}
+
+// Discord OAuth2 login for the web viewer. When no client id/secret is
+// configured every middleware is a pass-through and `getScope` returns null,
+// which the database treats as "no restriction".
+function createAuth({ database, clientId, clientSecret, publicUrl, participantsOnly = false }) {
+  const enabled = Boolean(clientId && clientSecret);
+  const baseUrl = (publicUrl || '').replace(/\/+$/, '');
+  const redirectUri = `${baseUrl}/auth/callback`;
+  const secure = baseUrl.startsWith('https:');
+
+  const setCookie = (res, name, value, maxAgeMs) => {
+    const parts = [
+      `${name}=${encodeURIComponent(value)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ];
+    if (secure) {
+      parts.push('Secure');
+    }
+    res.append('Set-Cookie', parts.join('; '));
+  };
+
+  const attachUser = (req, res, next) => {
+    req.user = null;
+    if (!enabled) {
+      next();
+      return;
+    }
+
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) {
+      try {
+        req.user = database.getWebSession(hashToken(token));
+      } catch (error) {
+        console.error('Failed to load web session:', error);
+      }
+    }
+    next();
+  };
+
+  const requireUser = (req, res, next) => {
+    if (enabled && !req.user) {
+      res.status(401).json({ error: 'Login required' });
+      return;
+    }
+    next();
+  };
+
+  const getScope = (req) => {
+    if (!enabled) {
+      return null;
+    }
+    return {
+      guildIds: req.user?.guildIds ?? [],
+      userId: participantsOnly ? req.user?.userId ?? '' : null,
+    };
+  };
+
+  const router = express.Router();
+
+  router.get('/login', (req, res) => {
+    if (!enabled) {
+      res.redirect('/');
+      return;
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    setCookie(res, STATE_COOKIE, `${state}:${safeReturnPath(req.query.returnTo)}`, STATE_TTL_MS);
+
+    const params = new URLSearchParams({
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: 'code',
+      scope: 'identify guilds',
+      state,
+      prompt: 'none',
+    });
+    res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+  });
+
+  router.get('/callback', async (req, res) => {
+    if (!enabled) {
+      res.redirect('/');
+      return;
+    }
+
+    const stored = parseCookies(req.headers.cookie)[STATE_COOKIE] || '';
+    const separator = stored.indexOf(':');
+    const expectedState = separator === -1 ? '' : stored.slice(0, separator);
+    const returnTo = safeReturnPath(stored.slice(separator + 1));
+    setCookie(res, STATE_COOKIE, '', 0);
+
+    const { code, state } = req.query;
+    if (typeof code !== 'string' || !expectedState || state !== expectedState) {
+      res.status(400).send('Login failed: the request was invalid or expired. Please try again.');
+      return;
+    }
+
+    try {
+      const grant = await discordRequest('/oauth2/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: clientId,
+          client_secret: clientSecret,
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: redirectUri,
+        }),
+      });
+
+      const headers = { Authorization: `${grant.token_type} ${grant.access_token}` };
+      const [user, guilds] = await Promise.all([
+        discordRequest('/users/@me', { headers }),
+        discordRequest('/users/@me/guilds', { headers }),
+      ]);
+
+      // Guild membership is captured at login and refreshed on the next one.
+      const token = crypto.randomBytes(32).toString('hex');
+      database.createWebSession({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        username: user.global_name || user.username,
+        avatar: user.avatar ?? null,
+        guildIds: Array.isArray(guilds) ? guilds.map((guild) => guild.id) : [],
+        expiresAt: Date.now() + SESSION_TTL_MS,
+      });
+
+      setCookie(res, SESSION_COOKIE, token, SESSION_TTL_MS);
+      res.redirect(returnTo);
+    } catch (error) {
+      console.error('Discord login failed:', error);
+      res.status(502).send('Login failed: Discord could not be reached. Please try again.');
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (enabled && token) {
+      database.deleteWebSession(hashToken(token));
+    }
+    setCookie(res, SESSION_COOKIE, '', 0);
+    res.json({ success: true });
+  });
+
+  return {
+    enabled,
+    participantsOnly: enabled && participantsOnly,
+    router,
+    attachUser,
+    requireUser,
+    getScope,
+  };
+}
+
+module.exports = { createAuth };
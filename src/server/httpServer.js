@@ -1,5 +1,11 @@
 const express = require('express');
 const path = require('path');
+const { createAuth } = require('./auth');
+const { removeSessionDirectory } = require('../recording/retention');
+const { EXPORT_FORMATS, renderExport, resolveSegmentDurations } = require('../transcription/transcriptExport');
+const { SUMMARY_TEMPLATES } = require('../summary/templates');
+const { TranscriptEditor } = require('../transcription/transcriptEditor');
+const { JOB_STATUS } = require('../processing/processingQueue');
 
 function normalizeRelativePath(relativePath) {
   if (!relativePath) {
@@ -15,11 +21,49 @@ function normalizeRelativePath(relativePath) {
   return normalized.split(path.sep).join('/');
 }
 
-function buildRouter({ database, recordingRoot }) {
+function toResponseSegment(segment) {
+  const publicPath = normalizeRelativePath(segment.audioPath);
+  return {
+    id: segment.id,
+    userId: segment.userId,
+    label: segment.label,
+    startedAt: segment.startedAt,
+    text: segment.text,
+    audioUrl: publicPath ? `/recordings/${publicPath}` : null,
+    timings: segment.timings ?? [],
+  };
+}
+
+const LIVE_HEARTBEAT_MS = 25_000;
+
+const REPROCESS_STATUS_CODES = {
+  saved: 200,
+  not_found: 404,
+  busy: 409,
+  unavailable: 409,
+  failed: 502,
+};
+
+const EDIT_STATUS_CODES = {
+  saved: 200,
+  not_found: 404,
+  invalid: 400,
+};
+
+function buildRouter({ database, recordingRoot, liveTranscriber, reprocessor, auth }) {
   const router = express.Router();
+  const editor = new TranscriptEditor({ database });
+
+  const requireSessionAccess = (req, res, next) => {
+    if (!database.canAccessSession(req.params.sessionId, auth.getScope(req))) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+    next();
+  };
 
-  // Middleware to validate delete password
-  const validateDeletePassword = (req, res, next) => {
+  // DELETE_PASSWORD guards every administrative route (delete, reprocess).
+  const requireAdminPassword = (req, res, next) => {
     const authHeader = req.headers.authorization;
     const expectedPassword = process.env.DELETE_PASSWORD || 'default-delete-password-123';
 
@@ -35,9 +79,33 @@ function buildRouter({ database, recordingRoot }) {
     next();
   };
 
+  // With Discord login every signed-in viewer of a session may correct it;
+  // without it, edits need the admin password.
+  const requireEditor = (req, res, next) => {
+    if (auth.enabled) {
+      next();
+      return;
+    }
+    requireAdminPassword(req, res, next);
+  };
+
+  // Post-processing and live transcription rewrite all segments when they
+  // save, which would silently drop edits made in the meantime.
+  const requireIdleSession = (req, res, next) => {
+    const { sessionId } = req.params;
+    const job = database.getJob(sessionId);
+    if (liveTranscriber?.isLive(sessionId)
+      || reprocessor?.isRunning(sessionId)
+      || (job && job.status !== JOB_STATUS.SAVED && job.status !== JOB_STATUS.FAILED)) {
+      res.status(409).json({ error: 'The session is still being recorded or processed' });
+      return;
+    }
+    next();
+  };
+
   router.get('/sessions', (req, res) => {
     try {
-      const sessions = database.getSessions().map((session) => ({
+      const sessions = database.getSessions(auth.getScope(req)).map((session) => ({
         id: session.id,
         guildName: session.guildName,
         channelName: session.channelName,
@@ -53,7 +121,26 @@ function buildRouter({ database, recordingRoot }) {
     }
   });
 
-  router.get('/sessions/:sessionId', (req, res) => {
+  router.get('/search', (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      res.status(400).json({ error: 'Query parameter "q" is required' });
+      return;
+    }
+
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) ? Math.min(Math.max(requestedLimit, 1), 200) : 50;
+
+    try {
+      const { segments, sessions } = database.search(query, { limit, scope: auth.getScope(req) });
+      res.json({ query, segments, sessions });
+    } catch (error) {
+      console.error('Failed to search transcripts:', error);
+      res.status(500).json({ error: 'Failed to search transcripts' });
+    }
+  });
+
+  router.get('/sessions/:sessionId', requireSessionAccess, (req, res) => {
     try {
       const detail = database.getSessionDetail(req.params.sessionId);
       if (!detail) {
@@ -61,28 +148,24 @@ function buildRouter({ database, recordingRoot }) {
         return;
       }
 
-      const { session, participants, segments } = detail;
+      const { session, participants, segments, participantEvents, pauses, structuredSummary } = detail;
       const mixdownPublicPath = normalizeRelativePath(session.audioPath);
       const fullAudioUrl = mixdownPublicPath ? `/recordings/${mixdownPublicPath}` : null;
-      const responseSegments = segments.map((segment) => {
-        const publicPath = normalizeRelativePath(segment.audioPath);
-        return {
-          id: segment.id,
-          userId: segment.userId,
-          label: segment.label,
-          startedAt: segment.startedAt,
-          text: segment.text,
-          audioUrl: publicPath ? `/recordings/${publicPath}` : null,
-        };
-      });
+      const responseSegments = segments.map(toResponseSegment);
 
       res.json({
         session: {
           ...session,
           audioUrl: fullAudioUrl,
+          live: Boolean(liveTranscriber?.isLive(session.id)),
         },
         participants,
+        participantEvents,
+        pauses,
+        structuredSummary,
         segments: responseSegments,
+        versions: database.listSessionVersions(session.id),
+        editCount: database.countTranscriptEdits(session.id),
       });
     } catch (error) {
       console.error('Failed to get session detail:', error);
@@ -90,9 +173,235 @@ function buildRouter({ database, recordingRoot }) {
     }
   });
 
-  router.delete('/sessions/:sessionId', validateDeletePassword, (req, res) => {
+  router.patch('/sessions/:sessionId/action-items/:itemId', requireSessionAccess, express.json(), (req, res) => {
+    const itemId = Number.parseInt(req.params.itemId, 10);
+    if (!Number.isFinite(itemId) || typeof req.body?.completed !== 'boolean') {
+      res.status(400).json({ error: 'Body must be {"completed": true|false}' });
+      return;
+    }
+
+    try {
+      const item = database.setActionItemCompleted(req.params.sessionId, itemId, req.body.completed, req.user?.userId);
+      if (!item) {
+        res.status(404).json({ error: 'Action item not found' });
+        return;
+      }
+      res.json({ item });
+    } catch (error) {
+      console.error('Failed to update action item:', error);
+      res.status(500).json({ error: 'Failed to update action item' });
+    }
+  });
+
+  router.get('/action-items', (req, res) => {
+    const status = ['open', 'done', 'all'].includes(req.query.status) ? req.query.status : 'open';
+    let assigneeUserId = typeof req.query.assignee === 'string' && req.query.assignee ? req.query.assignee : null;
+    if (assigneeUserId === 'me') {
+      if (!req.user) {
+        res.status(400).json({ error: '"assignee=me" requires login' });
+        return;
+      }
+      assigneeUserId = req.user.userId;
+    }
+
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) ? Math.min(Math.max(requestedLimit, 1), 500) : 200;
+
+    try {
+      const items = database.listActionItems({ scope: auth.getScope(req), status, assigneeUserId, limit });
+      res.json({ items });
+    } catch (error) {
+      console.error('Failed to list action items:', error);
+      res.status(500).json({ error: 'Failed to list action items' });
+    }
+  });
+
+  router.get('/sessions/:sessionId/export', requireSessionAccess, async (req, res) => {
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'md';
+    if (!EXPORT_FORMATS[format]) {
+      res.status(400).json({ error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+      return;
+    }
+
+    try {
+      const detail = database.getSessionDetail(req.params.sessionId);
+      if (!detail) {
+        res.status(404).json({ error: 'Session not found' });
+        return;
+      }
+
+      const durations = await resolveSegmentDurations(detail.segments, recordingRoot);
+      const { body, contentType, filename } = renderExport(detail, format, durations);
+      res.attachment(filename);
+      res.type(contentType);
+      res.send(body);
+    } catch (error) {
+      console.error('Failed to export session:', error);
+      res.status(500).json({ error: 'Failed to export session' });
+    }
+  });
+
+  router.get('/sessions/:sessionId/live', requireSessionAccess, (req, res) => {
+    const { sessionId } = req.params;
+    let detail;
+    try {
+      detail = database.getSessionDetail(sessionId);
+    } catch (error) {
+      console.error('Failed to load live session:', error);
+      res.status(500).json({ error: 'Failed to load live session' });
+      return;
+    }
+    if (!detail) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keep reverse proxies such as nginx from buffering the stream.
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    for (const segment of detail.segments) {
+      sendEvent('segment', toResponseSegment(segment));
+    }
+
+    if (!liveTranscriber?.isLive(sessionId)) {
+      sendEvent('end', { sessionId });
+      res.end();
+      return;
+    }
+
+    const onSegment = (payload) => {
+      if (payload.sessionId === sessionId) {
+        sendEvent('segment', toResponseSegment(payload.segment));
+      }
+    };
+    const onRemove = (payload) => {
+      if (payload.sessionId === sessionId) {
+        sendEvent('remove', { segmentIds: payload.segmentIds });
+      }
+    };
+    const onEnd = (payload) => {
+      if (payload.sessionId === sessionId) {
+        sendEvent('end', { sessionId });
+        res.end();
+      }
+    };
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, LIVE_HEARTBEAT_MS);
+
+    liveTranscriber.on('segment', onSegment);
+    liveTranscriber.on('remove', onRemove);
+    liveTranscriber.on('end', onEnd);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      liveTranscriber.off('segment', onSegment);
+      liveTranscriber.off('remove', onRemove);
+      liveTranscriber.off('end', onEnd);
+    });
+  });
+
+  const sendReprocessResult = (res, result) => {
+    const code = REPROCESS_STATUS_CODES[result.status] ?? 500;
+    if (code === 200) {
+      res.json(result);
+      return;
+    }
+    res.status(code).json({ error: result.reason ?? 'Reprocessing failed' });
+  };
+
+  const requireReprocessor = (req, res, next) => {
+    if (!reprocessor) {
+      res.status(503).json({ error: 'Reprocessing is not available' });
+      return;
+    }
+    next();
+  };
+
+  router.post('/sessions/:sessionId/retranscribe', requireAdminPassword, requireSessionAccess, requireReprocessor, async (req, res) => {
+    sendReprocessResult(res, await reprocessor.retranscribe(req.params.sessionId));
+  });
+
+  router.post('/sessions/:sessionId/resummarize', requireAdminPassword, requireSessionAccess, requireReprocessor, express.json(), async (req, res) => {
+    const template = req.body?.template ?? null;
+    if (template !== null && !SUMMARY_TEMPLATES[template]) {
+      res.status(400).json({ error: `Unknown template. Use one of: ${Object.keys(SUMMARY_TEMPLATES).join(', ')}` });
+      return;
+    }
+    sendReprocessResult(res, await reprocessor.resummarize(req.params.sessionId, { template }));
+  });
+
+  const sendEditResult = (res, result) => {
+    const code = EDIT_STATUS_CODES[result.status] ?? 500;
+    if (code === 200) {
+      const { status, ...payload } = result;
+      res.json(payload);
+      return;
+    }
+    res.status(code).json({ error: result.reason ?? 'Edit failed' });
+  };
+
+  const editRoute = (handler) => (req, res) => {
+    try {
+      sendEditResult(res, handler(req, req.user?.userId ?? null));
+    } catch (error) {
+      console.error('Failed to edit transcript:', error);
+      res.status(500).json({ error: 'Failed to edit transcript' });
+    }
+  };
+
+  const editMiddleware = [requireEditor, requireSessionAccess, requireIdleSession, express.json()];
+
+  router.patch('/sessions/:sessionId/segments/:segmentId', ...editMiddleware, editRoute((req, editedBy) => {
+    const { text, userId, label } = req.body ?? {};
+    return editor.updateSegment(req.params.sessionId, req.params.segmentId, { text, userId, label }, editedBy);
+  }));
+
+  router.post('/sessions/:sessionId/segments/merge', ...editMiddleware, editRoute((req, editedBy) => {
+    const segmentIds = Array.isArray(req.body?.segmentIds) ? req.body.segmentIds.map(String) : [];
+    return editor.mergeSegments(req.params.sessionId, segmentIds, editedBy);
+  }));
+
+  router.post('/sessions/:sessionId/segments/:segmentId/split', ...editMiddleware, editRoute((req, editedBy) => (
+    editor.splitSegment(req.params.sessionId, req.params.segmentId, req.body?.offset, editedBy)
+  )));
+
+  router.patch('/sessions/:sessionId/participants/:userId', ...editMiddleware, editRoute((req, editedBy) => (
+    editor.renameParticipant(req.params.sessionId, req.params.userId, req.body?.displayName, editedBy)
+  )));
+
+  router.get('/sessions/:sessionId/edits', requireSessionAccess, (req, res) => {
+    res.json({ edits: database.listTranscriptEdits(req.params.sessionId) });
+  });
+
+  router.get('/sessions/:sessionId/versions', requireSessionAccess, (req, res) => {
+    res.json({ versions: database.listSessionVersions(req.params.sessionId) });
+  });
+
+  router.get('/sessions/:sessionId/versions/:versionId', requireSessionAccess, (req, res) => {
+    const versionId = Number.parseInt(req.params.versionId, 10);
+    const version = Number.isFinite(versionId) ? database.getSessionVersion(req.params.sessionId, versionId) : null;
+    if (!version) {
+      res.status(404).json({ error: 'Version not found' });
+      return;
+    }
+    res.json({ version });
+  });
+
+  router.delete('/sessions/:sessionId', requireAdminPassword, requireSessionAccess, async (req, res) => {
     try {
       const sessionId = req.params.sessionId;
+      const guildId = database.getSessionDetail(sessionId)?.session.guildId ?? null;
       const deleted = database.deleteSession(sessionId);
 
       if (!deleted) {
@@ -100,6 +409,12 @@ function buildRouter({ database, recordingRoot }) {
         return;
       }
 
+      try {
+        await removeSessionDirectory(recordingRoot, guildId, sessionId);
+      } catch (error) {
+        console.error(`Deleted session ${sessionId} but failed to remove its audio:`, error);
+      }
+
       res.json({ success: true });
     } catch (error) {
       console.error('Failed to delete session:', error);
@@ -110,7 +425,7 @@ function buildRouter({ database, recordingRoot }) {
   return router;
 }
 
-function startHttpServer({ database, recordingRoot, webRoot, port }) {
+function startHttpServer({ database, recordingRoot, webRoot, port, liveTranscriber, reprocessor, authConfig }) {
   if (!database) {
     throw new Error('Database instance is required to start HTTP server');
   }
@@ -118,21 +433,75 @@ function startHttpServer({ database, recordingRoot, webRoot, port }) {
   const resolvedWebRoot = webRoot ? path.resolve(webRoot) : path.resolve(__dirname, 'web');
   const resolvedRecordingRoot = recordingRoot ? path.resolve(recordingRoot) : null;
 
+  const finalPort = port ?? Number(process.env.PORT ?? 16384);
+  const auth = createAuth({
+    database,
+    ...authConfig,
+    publicUrl: authConfig?.publicUrl || `http://localhost:${finalPort}`,
+  });
+
   const app = express();
 
   app.get('/api/health', (req, res) => {
     res.json({ status: 'ok' });
   });
 
-  app.use('/api', buildRouter({ database, recordingRoot: resolvedRecordingRoot }));
+  app.use(auth.attachUser);
+  app.use('/auth', auth.router);
+
+  app.get('/api/me', (req, res) => {
+    res.json({
+      authEnabled: auth.enabled,
+      participantsOnly: auth.participantsOnly,
+      user: req.user
+        ? { id: req.user.userId, username: req.user.username, avatar: req.user.avatar }
+        : null,
+    });
+  });
+
+  app.use('/api', auth.requireUser, buildRouter({
+    database,
+    recordingRoot: resolvedRecordingRoot,
+    liveTranscriber,
+    reprocessor,
+    auth,
+  }));
 
   if (resolvedRecordingRoot) {
-    app.use('/recordings', express.static(resolvedRecordingRoot));
+    // Files live under <guildId>/<sessionId>/..., so the first two path
+    // segments identify what the viewer must be allowed to see. express.static
+    // resolves dot segments, which would let a path climb out of that session.
+    const requireRecordingAccess = (req, res, next) => {
+      if (!auth.enabled) {
+        next();
+        return;
+      }
+      const parts = req.path.split('/').filter(Boolean).map((part) => {
+        try {
+          return decodeURIComponent(part);
+        } catch (_) {
+          return null;
+        }
+      });
+      if (parts.some((part) => part === null || part === '.' || part === '..' || /[/\\\0]/.test(part))) {
+        res.status(404).end();
+        return;
+      }
+      const [guildId, sessionId] = parts;
+      const scope = auth.getScope(req);
+      if (!guildId || !sessionId || !scope.guildIds.includes(guildId)
+        || !database.canAccessRecording(guildId, sessionId, scope)) {
+        res.status(404).end();
+        return;
+      }
+      next();
+    };
+
+    app.use('/recordings', auth.requireUser, requireRecordingAccess, express.static(resolvedRecordingRoot));
   }
 
   app.use(express.static(resolvedWebRoot));
 
-  const finalPort = port ?? Number(process.env.PORT ?? 16384);
   const server = app.listen(finalPort, () => {
     console.log(`HTTP server listening on port ${finalPort}`);
   });
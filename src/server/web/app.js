@@ -2,8 +2,43 @@
   const sessionListEl = document.getElementById('session-list');
   const sessionDetailEl = document.getElementById('session-detail');
   const themeToggleButton = document.getElementById('theme-toggle');
+  const searchFormEl = document.getElementById('search-form');
+  const searchInputEl = document.getElementById('search-input');
+  const accountBarEl = document.getElementById('account-bar');
+  const actionItemsButtonEl = document.getElementById('action-items-button');
 
   const THEME_STORAGE_KEY = 'call-transcribe-theme';
+  const REPROCESS_ACTIONS = [
+    {
+      path: 'retranscribe',
+      buttonLabel: '🔁 Re-transcribe',
+      title: 'Re-transcribe Session',
+      description: 'Send the recorded audio to the transcription service again. The current transcript is kept as a previous version.',
+      confirmLabel: 'Re-transcribe',
+    },
+    {
+      path: 'resummarize',
+      buttonLabel: '✨ Re-summarize',
+      title: 'Re-summarize Session',
+      description: 'Summarize the current transcript again. The current summary is kept as a previous version.',
+      confirmLabel: 'Re-summarize',
+    },
+  ];
+
+  const EXPORT_FORMATS = [
+    { format: 'md', name: 'Markdown', title: 'Summary and transcript grouped by speaker' },
+    { format: 'txt', name: 'Text', title: 'Plain text transcript' },
+    { format: 'srt', name: 'SRT', title: 'SubRip subtitles' },
+    { format: 'vtt', name: 'VTT', title: 'WebVTT subtitles' },
+    { format: 'json', name: 'JSON', title: 'Everything stored for this session' },
+  ];
+
+  const EDIT_ACTION_LABELS = {
+    edit: 'Edited a segment',
+    merge: 'Merged segments',
+    split: 'Split a segment',
+    rename: 'Renamed a participant',
+  };
   let userSetTheme = false;
 
   function applyTheme(theme, { persist = true } = {}) {
@@ -66,6 +101,15 @@
   let activeSessionId = null;
   const audioElements = new Map();
   let fullAudioElement = null;
+  let sentenceTimeline = [];
+  let liveSource = null;
+  let searchResults = null;
+  let searchTimer = null;
+  let searchRequestId = 0;
+  let currentAccount = null;
+  // Admin password for transcript edits when Discord login is off; kept
+  // until the page is reloaded.
+  let editPassword = null;
 
   function renderMarkdown(text) {
     if (!text) {
@@ -92,7 +136,92 @@
     return date.toLocaleString();
   }
 
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function renderSnippet(snippet) {
+    // The API marks matches with \u0002 … \u0003 so they survive escaping.
+    return escapeHtml(snippet || '')
+      .replace(/\u0002/g, '<mark>')
+      .replace(/\u0003/g, '</mark>');
+  }
+
+  function getAudioOffsetSeconds(session, startedAt) {
+    // The mixdown timeline starts when the capture session was created, which
+    // is the timestamp used as the session id.
+    const idTimestamp = Number.parseInt(session.id, 10);
+    const origin = Number.isFinite(idTimestamp) ? idTimestamp : Number(session.startedAt);
+    const value = Number(startedAt);
+    if (!Number.isFinite(origin) || !Number.isFinite(value)) {
+      return null;
+    }
+    return Math.max(0, (value - origin) / 1000);
+  }
+
+  function formatOffset(seconds) {
+    if (!Number.isFinite(seconds)) {
+      return '';
+    }
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  function seekFullAudio(seconds) {
+    if (!fullAudioElement || !Number.isFinite(seconds)) {
+      return;
+    }
+    const player = fullAudioElement;
+    const apply = () => {
+      player.currentTime = seconds;
+    };
+    if (player.readyState >= 1) {
+      apply();
+    } else {
+      player.preload = 'metadata';
+      player.addEventListener('loadedmetadata', apply, { once: true });
+      player.load();
+    }
+  }
+
+  function focusSegment(session, focus) {
+    if (!focus?.segmentId) {
+      return;
+    }
+    const segmentEl = sessionDetailEl.querySelector(`[data-segment-id="${CSS.escape(focus.segmentId)}"]`);
+    if (segmentEl) {
+      segmentEl.classList.add('segment-highlight');
+      segmentEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    seekFullAudio(getAudioOffsetSeconds(session, focus.startedAt));
+  }
+
+  function buildSentenceTimeline(session, container) {
+    sentenceTimeline = Array.from(container.querySelectorAll('.segment-sentence'))
+      .map((el) => ({
+        el,
+        start: getAudioOffsetSeconds(session, el.dataset.startedAt),
+        end: getAudioOffsetSeconds(session, el.dataset.endedAt),
+      }))
+      .filter((entry) => entry.start !== null && entry.end !== null);
+  }
+
+  function highlightPlayback(seconds) {
+    // Overlapping speakers can both be mid-sentence, so mark every match.
+    for (const { el, start, end } of sentenceTimeline) {
+      el.classList.toggle('sentence-active', seconds >= start && seconds < end);
+    }
+  }
+
   function clearAudioPlayers() {
+    sentenceTimeline = [];
     if (fullAudioElement) {
       fullAudioElement.pause();
       fullAudioElement.currentTime = 0;
@@ -105,6 +234,56 @@
     audioElements.clear();
   }
 
+  function closeLiveStream() {
+    if (liveSource) {
+      liveSource.close();
+      liveSource = null;
+    }
+  }
+
+  function openLiveStream(sessionId, transcriptContainer, renderedIds) {
+    closeLiveStream();
+    const source = new EventSource(`/api/sessions/${encodeURIComponent(sessionId)}/live`);
+    liveSource = source;
+
+    source.addEventListener('segment', (event) => {
+      const segment = JSON.parse(event.data);
+      if (renderedIds.has(segment.id)) {
+        return;
+      }
+      renderedIds.add(segment.id);
+
+      const placeholder = transcriptContainer.querySelector('.transcript-placeholder');
+      if (placeholder) {
+        placeholder.remove();
+      }
+      transcriptContainer.appendChild(createSegmentElement(segment));
+      updatePlayStates();
+    });
+
+    source.addEventListener('remove', (event) => {
+      const { segmentIds } = JSON.parse(event.data);
+      for (const segmentId of segmentIds) {
+        renderedIds.delete(segmentId);
+        const entry = audioElements.get(segmentId);
+        if (entry) {
+          entry.audio.pause();
+          audioElements.delete(segmentId);
+        }
+        transcriptContainer.querySelector(`[data-segment-id="${CSS.escape(segmentId)}"]`)?.remove();
+      }
+      updatePlayStates();
+    });
+
+    source.addEventListener('end', () => {
+      closeLiveStream();
+      if (activeSessionId === sessionId) {
+        // The final transcript replaces the provisional live segments.
+        selectSession(sessionId);
+      }
+    });
+  }
+
   function updatePlayStates() {
     for (const [segmentId, { audio, button }] of audioElements.entries()) {
       if (!button) {
@@ -169,7 +348,7 @@
     meta.textContent = [
       session.channelName || 'Unknown channel',
       formatDate(session.startedAt),
-      `${session.participantCount || 0} participants`,
+      session.endedAt ? `${session.participantCount || 0} participants` : 'In progress',
     ]
       .filter(Boolean)
       .join(' • ');
@@ -195,6 +374,123 @@
     return item;
   }
 
+  function createSearchResultItem({ sessionId, segmentId, startedAt, title, snippet, sessionStartedAt }) {
+    const item = document.createElement('a');
+    item.href = `/?session=${encodeURIComponent(sessionId)}`;
+    item.className = 'session-item search-result';
+    if (sessionId === activeSessionId) {
+      item.classList.add('active');
+    }
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'session-item-title';
+    titleEl.textContent = title;
+    item.appendChild(titleEl);
+
+    const meta = document.createElement('div');
+    meta.className = 'session-item-meta';
+    const offset = segmentId ? getAudioOffsetSeconds({ id: sessionId, startedAt: sessionStartedAt }, startedAt) : null;
+    meta.textContent = [formatDate(sessionStartedAt), offset !== null ? `at ${formatOffset(offset)}` : null]
+      .filter(Boolean)
+      .join(' • ');
+    item.appendChild(meta);
+
+    const snippetEl = document.createElement('div');
+    snippetEl.className = 'search-snippet';
+    snippetEl.innerHTML = renderSnippet(snippet);
+    item.appendChild(snippetEl);
+
+    item.addEventListener('click', (event) => {
+      event.preventDefault();
+      selectSession(sessionId, segmentId ? { segmentId, startedAt } : null);
+
+      const newUrl = new URL(window.location);
+      newUrl.searchParams.set('session', sessionId);
+      window.history.pushState({}, '', newUrl);
+    });
+
+    return item;
+  }
+
+  function renderSearchResults() {
+    sessionListEl.innerHTML = '';
+    const { segments: segmentHits = [], sessions: summaryHits = [] } = searchResults || {};
+
+    if (!segmentHits.length && !summaryHits.length) {
+      const empty = document.createElement('div');
+      empty.className = 'session-item';
+      empty.textContent = 'No matching transcripts.';
+      sessionListEl.appendChild(empty);
+      return;
+    }
+
+    for (const hit of summaryHits) {
+      sessionListEl.appendChild(createSearchResultItem({
+        sessionId: hit.sessionId,
+        segmentId: null,
+        startedAt: null,
+        title: `Summary — ${hit.guildName || 'Unknown server'} / ${hit.channelName || 'Unknown channel'}`,
+        snippet: hit.snippet,
+        sessionStartedAt: hit.sessionStartedAt,
+      }));
+    }
+
+    for (const hit of segmentHits) {
+      sessionListEl.appendChild(createSearchResultItem({
+        sessionId: hit.sessionId,
+        segmentId: hit.segmentId,
+        startedAt: hit.startedAt,
+        title: `${hit.label || hit.userId || 'Unknown speaker'} — ${hit.channelName || 'Unknown channel'}`,
+        snippet: hit.snippet,
+        sessionStartedAt: hit.sessionStartedAt,
+      }));
+    }
+  }
+
+  function refreshSidebar() {
+    if (searchResults) {
+      renderSearchResults();
+    } else {
+      renderSessionList();
+    }
+  }
+
+  async function runSearch(query) {
+    const requestId = ++searchRequestId;
+    if (!query) {
+      searchResults = null;
+      renderSessionList();
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+      if (!response.ok) {
+        throw new Error(`Search failed: ${response.status}`);
+      }
+      const payload = await response.json();
+      if (requestId !== searchRequestId) {
+        return;
+      }
+      searchResults = payload;
+      renderSearchResults();
+    } catch (error) {
+      console.error('Failed to search transcripts', error);
+    }
+  }
+
+  if (searchFormEl && searchInputEl) {
+    searchFormEl.addEventListener('submit', (event) => {
+      event.preventDefault();
+      clearTimeout(searchTimer);
+      runSearch(searchInputEl.value.trim());
+    });
+    searchInputEl.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => runSearch(searchInputEl.value.trim()), 250);
+    });
+  }
+
   function renderSessionList() {
     sessionListEl.innerHTML = '';
     if (!sessions.length) {
@@ -210,25 +506,728 @@
     }
   }
 
+  // Off-the-record stretch of a session, shown between the segments around it.
+  function createPauseElement(session, pause) {
+    const pauseEl = document.createElement('div');
+    pauseEl.className = 'transcript-pause';
+    const seconds = Math.max(0, Math.round((pause.endedAt - pause.startedAt) / 1000));
+    const length = seconds < 60 ? `${seconds} s` : `${Math.round(seconds / 60)} min`;
+    pauseEl.textContent = `Recording paused at ${formatOffset(getAudioOffsetSeconds(session, pause.startedAt))} for ${length}`;
+    return pauseEl;
+  }
+
+  function createSegmentElement(segment, editing = null) {
+    const segmentEl = document.createElement('article');
+    segmentEl.className = 'segment';
+    segmentEl.dataset.segmentId = segment.id;
+
+    const headerEl = document.createElement('div');
+    headerEl.className = 'segment-header';
+
+    const headerMain = document.createElement('div');
+    headerMain.className = 'segment-header-main';
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'segment-title';
+    titleEl.textContent = segment.label || segment.userId || 'Unknown speaker';
+    headerMain.appendChild(titleEl);
+
+    const actions = document.createElement('div');
+    actions.className = 'segment-actions';
+
+    if (segment.audioUrl) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'segment-play';
+      button.dataset.segmentId = segment.id;
+      button.textContent = '🔊';
+      button.setAttribute('aria-label', 'Play segment audio');
+      button.addEventListener('click', handlePlayClick);
+
+      const audio = document.createElement('audio');
+      audio.src = segment.audioUrl;
+      audio.preload = 'none';
+      audio.hidden = true;
+
+      audio.addEventListener('ended', updatePlayStates);
+      audio.addEventListener('pause', updatePlayStates);
+      audio.addEventListener('play', updatePlayStates);
+
+      audioElements.set(segment.id, { audio, button });
+
+      actions.appendChild(button);
+      actions.appendChild(audio);
+    } else {
+      const disabledButton = document.createElement('button');
+      disabledButton.type = 'button';
+      disabledButton.className = 'segment-play';
+      disabledButton.textContent = '🔇';
+      disabledButton.disabled = true;
+      disabledButton.setAttribute('aria-label', 'Audio not available');
+      actions.appendChild(disabledButton);
+    }
+
+    if (editing) {
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.className = 'segment-play segment-edit';
+      editButton.textContent = '✏️';
+      editButton.setAttribute('aria-label', 'Edit segment');
+      editButton.addEventListener('click', () => openSegmentEditor(segmentEl, segment, editing));
+      actions.appendChild(editButton);
+    }
+
+    if (actions.children.length) {
+      headerMain.appendChild(actions);
+    }
+
+    headerEl.appendChild(headerMain);
+
+    segmentEl.appendChild(headerEl);
+
+    const textEl = document.createElement('div');
+    textEl.className = 'segment-text';
+    const sentences = (segment.timings || []).filter((timing) => timing.kind === 'sentence');
+    const segmentStart = Number(segment.startedAt);
+    if (sentences.length && Number.isFinite(segmentStart)) {
+      sentences.forEach((sentence, index) => {
+        if (index > 0) {
+          textEl.appendChild(document.createTextNode(' '));
+        }
+        const sentenceEl = document.createElement('span');
+        sentenceEl.className = 'segment-sentence';
+        sentenceEl.textContent = sentence.text;
+        sentenceEl.dataset.startedAt = String(segmentStart + sentence.startMs);
+        sentenceEl.dataset.endedAt = String(segmentStart + sentence.endMs);
+        textEl.appendChild(sentenceEl);
+      });
+    } else {
+      textEl.textContent = segment.text || '';
+    }
+    segmentEl.appendChild(textEl);
+
+    return segmentEl;
+  }
+
+  function requestEditPassword() {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = 'modal-overlay';
+      modal.innerHTML = `
+        <div class="modal-content">
+          <h3>Edit Transcript</h3>
+          <p>Editing transcripts requires the admin password. It is remembered until you reload the page.</p>
+          <form class="edit-password-form">
+            <div class="form-group">
+              <label for="edit-password">Admin password:</label>
+              <input type="password" id="edit-password" required>
+            </div>
+            <div class="modal-actions">
+              <button type="button" class="cancel-button">Cancel</button>
+              <button type="submit" class="confirm-button">Continue</button>
+            </div>
+          </form>
+        </div>
+      `;
+      document.body.appendChild(modal);
+
+      const input = modal.querySelector('#edit-password');
+      input.focus();
+      modal.querySelector('.cancel-button').addEventListener('click', () => {
+        modal.remove();
+        resolve(null);
+      });
+      modal.querySelector('.edit-password-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        modal.remove();
+        resolve(input.value);
+      });
+    });
+  }
+
+  async function sendTranscriptEdit(sessionId, method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (!currentAccount?.authEnabled) {
+      editPassword = editPassword || await requestEditPassword();
+      if (!editPassword) {
+        throw new Error('Editing needs the admin password.');
+      }
+      headers.Authorization = `Bearer ${editPassword}`;
+    }
+
+    const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/${path}`, {
+      method,
+      headers,
+      body: JSON.stringify(body),
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (response.status === 401 || response.status === 403) {
+      editPassword = null;
+    }
+    if (!response.ok) {
+      throw new Error(payload.error || `Request failed: ${response.status}`);
+    }
+    return payload;
+  }
+
+  function openSegmentEditor(segmentEl, segment, editing) {
+    if (segmentEl.querySelector('.segment-editor')) {
+      return;
+    }
+    const textEl = segmentEl.querySelector('.segment-text');
+    textEl.hidden = true;
+
+    const form = document.createElement('form');
+    form.className = 'segment-editor';
+
+    const speakerSelect = document.createElement('select');
+    speakerSelect.setAttribute('aria-label', 'Speaker');
+    if (!editing.participants.some((participant) => participant.userId === segment.userId)) {
+      speakerSelect.appendChild(new Option(segment.label || segment.userId || 'Unknown speaker', ''));
+    }
+    editing.participants.forEach((participant) => {
+      speakerSelect.appendChild(new Option(participant.displayName || participant.userId, participant.userId));
+    });
+    speakerSelect.value = editing.participants.some((participant) => participant.userId === segment.userId)
+      ? segment.userId
+      : '';
+    form.appendChild(speakerSelect);
+
+    const textarea = document.createElement('textarea');
+    textarea.value = segment.text || '';
+    textarea.rows = Math.min(10, Math.max(2, Math.ceil(textarea.value.length / 80)));
+    textarea.setAttribute('aria-label', 'Segment text');
+    form.appendChild(textarea);
+
+    const statusEl = document.createElement('p');
+    statusEl.className = 'reprocess-status';
+    statusEl.setAttribute('role', 'status');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'segment-editor-actions';
+    const addButton = (label, className, type = 'button') => {
+      const button = document.createElement('button');
+      button.type = type;
+      button.className = className;
+      button.textContent = label;
+      buttons.appendChild(button);
+      return button;
+    };
+    const cancelButton = addButton('Cancel', 'cancel-button');
+    const splitButton = addButton('Split at cursor', 'cancel-button');
+    const mergeButton = addButton('Merge with next', 'cancel-button');
+    addButton('Save', 'confirm-button', 'submit');
+    form.appendChild(buttons);
+    form.appendChild(statusEl);
+
+    const nextEl = segmentEl.nextElementSibling;
+    const nextSegmentId = nextEl?.classList.contains('segment') ? nextEl.dataset.segmentId : null;
+    mergeButton.disabled = !nextSegmentId;
+    mergeButton.title = 'Append the next segment to this one';
+    splitButton.title = 'Move the text after the cursor into a new segment';
+
+    const close = () => {
+      form.remove();
+      textEl.hidden = false;
+    };
+    const run = async (method, path, body) => {
+      const controls = form.querySelectorAll('button, select, textarea');
+      controls.forEach((control) => {
+        control.disabled = true;
+      });
+      statusEl.textContent = 'Saving…';
+      try {
+        await sendTranscriptEdit(editing.sessionId, method, path, body);
+        selectSession(editing.sessionId, { segmentId: segment.id });
+      } catch (error) {
+        console.error('Failed to edit transcript', error);
+        statusEl.textContent = error.message;
+        controls.forEach((control) => {
+          control.disabled = false;
+        });
+        mergeButton.disabled = !nextSegmentId;
+      }
+    };
+
+    cancelButton.addEventListener('click', close);
+    splitButton.addEventListener('click', () => {
+      if (textarea.value !== (segment.text || '')) {
+        statusEl.textContent = 'Save or undo your changes before splitting.';
+        return;
+      }
+      run('POST', `segments/${encodeURIComponent(segment.id)}/split`, { offset: textarea.selectionStart });
+    });
+    mergeButton.addEventListener('click', () => {
+      run('POST', 'segments/merge', { segmentIds: [segment.id, nextSegmentId] });
+    });
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const changes = {};
+      if (textarea.value.trim() !== (segment.text || '').trim()) {
+        changes.text = textarea.value;
+      }
+      if (speakerSelect.value && speakerSelect.value !== segment.userId) {
+        changes.userId = speakerSelect.value;
+      }
+      if (!Object.keys(changes).length) {
+        close();
+        return;
+      }
+      run('PATCH', `segments/${encodeURIComponent(segment.id)}`, changes);
+    });
+
+    segmentEl.appendChild(form);
+    textarea.focus();
+  }
+
+  function createParticipantPill(participant, sessionId) {
+    const name = participant.displayName || participant.userId;
+    if (!sessionId) {
+      const pill = document.createElement('span');
+      pill.className = 'participant-pill';
+      pill.textContent = name;
+      return pill;
+    }
+
+    const pill = document.createElement('button');
+    pill.type = 'button';
+    pill.className = 'participant-pill participant-rename';
+    pill.textContent = name;
+    pill.title = 'Rename in this session';
+    pill.addEventListener('click', () => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'participant-pill participant-rename-input';
+      input.value = name;
+      input.maxLength = 100;
+      input.setAttribute('aria-label', `New name for ${name}`);
+
+      let saving = false;
+      const restore = () => {
+        if (!saving && input.isConnected) {
+          input.replaceWith(pill);
+        }
+      };
+      input.addEventListener('blur', restore);
+      input.addEventListener('keydown', async (event) => {
+        if (event.key === 'Escape') {
+          restore();
+          return;
+        }
+        if (event.key !== 'Enter') {
+          return;
+        }
+        event.preventDefault();
+        const displayName = input.value.trim();
+        if (!displayName || displayName === name) {
+          restore();
+          return;
+        }
+        saving = true;
+        input.disabled = true;
+        try {
+          await sendTranscriptEdit(sessionId, 'PATCH', `participants/${encodeURIComponent(participant.userId)}`, { displayName });
+          selectSession(sessionId);
+        } catch (error) {
+          console.error('Failed to rename participant', error);
+          saving = false;
+          input.disabled = false;
+          input.title = error.message;
+          input.classList.add('participant-rename-error');
+          input.focus();
+        }
+      });
+
+      pill.replaceWith(input);
+      input.focus();
+      input.select();
+    });
+    return pill;
+  }
+
+  function describeEditedSegments(segments) {
+    return (segments || []).map((segment) => `${segment.label || segment.userId || 'Unknown'}: ${segment.text}`).join('\n');
+  }
+
+  function createEditHistorySection(sessionId, editCount) {
+    const section = document.createElement('details');
+    section.className = 'session-versions session-edits';
+
+    const summaryEl = document.createElement('summary');
+    summaryEl.textContent = `Edit history (${editCount})`;
+    section.appendChild(summaryEl);
+
+    const list = document.createElement('ul');
+    section.appendChild(list);
+
+    let loaded = false;
+    section.addEventListener('toggle', async () => {
+      if (!section.open || loaded) {
+        return;
+      }
+      loaded = true;
+      try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/edits`);
+        if (!response.ok) {
+          throw new Error(`Failed to load edits: ${response.status}`);
+        }
+        const { edits } = await response.json();
+        list.innerHTML = '';
+        edits.forEach((edit) => {
+          const item = document.createElement('li');
+          const title = document.createElement('div');
+          const label = edit.action === 'rename'
+            ? `Renamed "${edit.before.participant.displayName || edit.before.participant.userId}" to "${edit.after.participant.displayName}"`
+            : EDIT_ACTION_LABELS[edit.action] || edit.action;
+          title.textContent = `${formatDate(edit.createdAt)} — ${label}`;
+          item.appendChild(title);
+
+          if (edit.action !== 'rename') {
+            const diff = document.createElement('pre');
+            diff.className = 'version-transcript';
+            diff.textContent = `Before:\n${describeEditedSegments(edit.before.segments)}\n\nAfter:\n${describeEditedSegments(edit.after.segments)}`;
+            item.appendChild(diff);
+          }
+          list.appendChild(item);
+        });
+      } catch (error) {
+        console.error('Failed to load edit history', error);
+        loaded = false;
+        list.textContent = 'Failed to load the edit history.';
+      }
+    });
+    return section;
+  }
+
+  function buildAttendance(events, endedAt) {
+    const people = new Map();
+    for (const event of events) {
+      let person = people.get(event.userId);
+      if (!person) {
+        person = {
+          name: event.displayName || event.userId,
+          open: {},
+          intervals: { present: [], muted: [], deafened: [] },
+        };
+        people.set(event.userId, person);
+      }
+
+      const at = Number(event.occurredAt);
+      const open = (kind) => {
+        if (person.open[kind] == null) {
+          person.open[kind] = at;
+        }
+      };
+      const close = (kind) => {
+        if (person.open[kind] != null) {
+          person.intervals[kind].push([person.open[kind], at]);
+          person.open[kind] = null;
+        }
+      };
+
+      switch (event.type) {
+        case 'join':
+          open('present');
+          break;
+        case 'leave':
+          close('present');
+          close('muted');
+          close('deafened');
+          break;
+        case 'mute':
+          open('muted');
+          break;
+        case 'unmute':
+          close('muted');
+          break;
+        case 'deafen':
+          open('deafened');
+          break;
+        case 'undeafen':
+          close('deafened');
+          break;
+        default:
+          break;
+      }
+    }
+
+    // Anyone still connected when the recording stopped stays until the end.
+    for (const person of people.values()) {
+      for (const kind of Object.keys(person.intervals)) {
+        if (person.open[kind] != null) {
+          person.intervals[kind].push([person.open[kind], endedAt]);
+        }
+      }
+    }
+    return Array.from(people.values());
+  }
+
+  function createAttendanceSection(session, events) {
+    const start = Number(session.startedAt);
+    const end = Number(session.endedAt);
+    if (!events?.length || !Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      return null;
+    }
+
+    const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const toPercent = (value) => ((Math.min(Math.max(value, start), end) - start) / (end - start)) * 100;
+    const labels = { present: 'In the channel', muted: 'Muted', deafened: 'Deafened' };
+
+    const section = document.createElement('section');
+    section.className = 'attendance';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Attendance';
+    section.appendChild(title);
+
+    for (const person of buildAttendance(events, end)) {
+      const row = document.createElement('div');
+      row.className = 'attendance-row';
+
+      const name = document.createElement('span');
+      name.className = 'attendance-name';
+      name.textContent = person.name;
+      row.appendChild(name);
+
+      const track = document.createElement('div');
+      track.className = 'attendance-track';
+      for (const [kind, intervals] of Object.entries(person.intervals)) {
+        for (const [from, to] of intervals) {
+          const bar = document.createElement('span');
+          bar.className = `attendance-bar attendance-${kind}`;
+          bar.style.left = `${toPercent(from)}%`;
+          bar.style.width = `${Math.max(toPercent(to) - toPercent(from), 0.5)}%`;
+          bar.title = `${labels[kind]}: ${formatTime(from)} – ${formatTime(to)}`;
+          track.appendChild(bar);
+        }
+      }
+      row.appendChild(track);
+      section.appendChild(row);
+    }
+
+    const axis = document.createElement('div');
+    axis.className = 'attendance-axis';
+    for (const value of [start, end]) {
+      const label = document.createElement('span');
+      label.textContent = formatTime(value);
+      axis.appendChild(label);
+    }
+    section.appendChild(axis);
+
+    const legend = document.createElement('div');
+    legend.className = 'attendance-legend';
+    for (const [kind, label] of Object.entries(labels)) {
+      const item = document.createElement('span');
+      const swatch = document.createElement('span');
+      swatch.className = `attendance-swatch attendance-${kind}`;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(label));
+      legend.appendChild(item);
+    }
+    section.appendChild(legend);
+
+    return section;
+  }
+
+  function createExportLinks(sessionId) {
+    const container = document.createElement('div');
+    container.className = 'export-links';
+
+    const label = document.createElement('span');
+    label.className = 'export-label';
+    label.textContent = '⬇️ Download';
+    container.appendChild(label);
+
+    EXPORT_FORMATS.forEach(({ format, name, title }) => {
+      const link = document.createElement('a');
+      link.className = 'export-link';
+      link.href = `/api/sessions/${encodeURIComponent(sessionId)}/export?format=${format}`;
+      link.setAttribute('download', '');
+      link.textContent = name;
+      link.title = title;
+      container.appendChild(link);
+    });
+    return container;
+  }
+
+  function formatActionItemDetails(item) {
+    return [
+      item.assigneeName ? `@${item.assigneeName}` : null,
+      item.dueDate ? `due ${item.dueDate}` : null,
+    ].filter(Boolean).join(' · ');
+  }
+
+  function createActionItemElement(sessionId, item, { source = null } = {}) {
+    const row = document.createElement('li');
+    row.className = 'action-item';
+    row.classList.toggle('completed', Boolean(item.completedAt));
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(item.completedAt);
+    label.appendChild(checkbox);
+
+    const text = document.createElement('span');
+    text.className = 'action-item-text';
+    text.textContent = item.text;
+    label.appendChild(text);
+    row.appendChild(label);
+
+    const details = formatActionItemDetails(item);
+    if (details || source) {
+      const meta = document.createElement('div');
+      meta.className = 'action-item-meta';
+      meta.textContent = details;
+      if (source) {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'action-item-source';
+        link.textContent = source;
+        link.addEventListener('click', () => selectSession(sessionId));
+        meta.appendChild(link);
+      }
+      row.appendChild(meta);
+    }
+
+    checkbox.addEventListener('change', async () => {
+      const completed = checkbox.checked;
+      checkbox.disabled = true;
+      try {
+        const response = await fetch(
+          `/api/sessions/${encodeURIComponent(sessionId)}/action-items/${encodeURIComponent(item.id)}`,
+          {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ completed }),
+          },
+        );
+        if (!response.ok) {
+          throw new Error(`Failed to update action item: ${response.status}`);
+        }
+        row.classList.toggle('completed', completed);
+      } catch (error) {
+        console.error('Failed to update action item', error);
+        checkbox.checked = !completed;
+      } finally {
+        checkbox.disabled = false;
+      }
+    });
+
+    return row;
+  }
+
+  function createStructuredSummaryBody(sessionId, structured) {
+    const body = document.createElement('div');
+    if (structured.overview) {
+      const overview = document.createElement('p');
+      overview.textContent = structured.overview;
+      body.appendChild(overview);
+    }
+
+    const addList = (title, items, createItem) => {
+      if (!items.length) {
+        return;
+      }
+      const heading = document.createElement('h4');
+      heading.textContent = title;
+      body.appendChild(heading);
+      const list = document.createElement('ul');
+      items.forEach((item) => list.appendChild(createItem(item)));
+      body.appendChild(list);
+      return list;
+    };
+    const createTextItem = (text) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      return item;
+    };
+
+    addList('Topics', structured.topics || [], createTextItem);
+    addList('Decisions', structured.decisions || [], createTextItem);
+    const checklist = addList(
+      'Action Items',
+      structured.actionItems || [],
+      (item) => createActionItemElement(sessionId, item),
+    );
+    checklist?.classList.add('action-items');
+    addList('Open Questions', structured.openQuestions || [], createTextItem);
+    return body;
+  }
+
+  async function showActionItems() {
+    activeSessionId = null;
+    refreshSidebar();
+    clearAudioPlayers();
+    closeLiveStream();
+    sessionDetailEl.classList.remove('empty');
+    sessionDetailEl.innerHTML = '';
+
+    try {
+      const response = await fetch('/api/action-items?status=open');
+      if (!response.ok) {
+        throw new Error(`Failed to load action items: ${response.status}`);
+      }
+      const { items } = await response.json();
+
+      const section = document.createElement('section');
+      section.className = 'session-summary';
+      const title = document.createElement('h3');
+      title.textContent = 'Open action items';
+      section.appendChild(title);
+
+      if (!items.length) {
+        const empty = document.createElement('p');
+        empty.textContent = 'Nothing left to do.';
+        section.appendChild(empty);
+      } else {
+        const list = document.createElement('ul');
+        list.className = 'action-items';
+        for (const item of items) {
+          const source = `${item.channelName || 'Unknown channel'}, ${formatDate(item.sessionStartedAt)}`;
+          list.appendChild(createActionItemElement(item.sessionId, item, { source }));
+        }
+        section.appendChild(list);
+      }
+      sessionDetailEl.appendChild(section);
+    } catch (error) {
+      console.error('Failed to load action items', error);
+      showError('Failed to load action items.');
+    }
+  }
+
+  if (actionItemsButtonEl) {
+    actionItemsButtonEl.addEventListener('click', () => showActionItems());
+  }
+
   function renderSessionDetail(payload) {
     clearAudioPlayers();
+    closeLiveStream();
     sessionDetailEl.classList.remove('empty');
     sessionDetailEl.innerHTML = '';
 
-    const { session, participants, segments } = payload;
+    const { session, participants, segments, participantEvents, pauses, structuredSummary, versions, editCount } = payload;
+    // Live sessions are rewritten when post-processing saves them.
+    const editing = session.live ? null : { sessionId: session.id, participants };
 
     const header = document.createElement('section');
     header.className = 'session-header';
 
     const title = document.createElement('h2');
     title.textContent = `${session.guildName || 'Unknown server'} — ${session.channelName || 'Unknown channel'}`;
+    if (session.live) {
+      const liveBadge = document.createElement('span');
+      liveBadge.className = 'live-badge';
+      liveBadge.textContent = '● Live';
+      title.appendChild(liveBadge);
+    }
     header.appendChild(title);
 
     const meta = document.createElement('div');
     meta.className = 'session-meta';
     meta.textContent = [
       `Started: ${formatDate(session.startedAt)}`,
-      `Ended: ${formatDate(session.endedAt)}`,
+      session.live ? 'Recording in progress' : `Ended: ${formatDate(session.endedAt)}`,
       `${participants.length} participants`,
     ].join(' | ');
     header.appendChild(meta);
@@ -258,6 +1257,18 @@
       });
     });
     header.appendChild(shareButton);
+    header.appendChild(createExportLinks(session.id));
+
+    if (!session.live) {
+      REPROCESS_ACTIONS.forEach((action) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'share-button reprocess-button';
+        button.textContent = action.buttonLabel;
+        button.addEventListener('click', () => showReprocessConfirmation(session.id, action));
+        header.appendChild(button);
+      });
+    }
 
     const deleteButton = document.createElement('button');
     deleteButton.type = 'button';
@@ -279,9 +1290,15 @@
       summaryTitle.textContent = 'Summary';
       summarySection.appendChild(summaryTitle);
 
-      const summaryBody = document.createElement('div');
+      // Structured summaries get their action items as a checklist instead
+      // of the Markdown rendering stored alongside them.
+      const summaryBody = structuredSummary
+        ? createStructuredSummaryBody(session.id, structuredSummary)
+        : document.createElement('div');
       summaryBody.className = 'session-summary-body';
-      summaryBody.innerHTML = renderMarkdown(session.summary);
+      if (!structuredSummary) {
+        summaryBody.innerHTML = renderMarkdown(session.summary);
+      }
       summarySection.appendChild(summaryBody);
 
       sessionDetailEl.appendChild(summarySection);
@@ -299,6 +1316,8 @@
       player.controls = true;
       player.preload = 'none';
       player.src = session.audioUrl;
+      player.addEventListener('timeupdate', () => highlightPlayback(player.currentTime));
+      player.addEventListener('seeked', () => highlightPlayback(player.currentTime));
       playback.appendChild(player);
 
       fullAudioElement = player;
@@ -317,10 +1336,7 @@
     participantList.className = 'participant-list';
     if (participants.length) {
       for (const participant of participants) {
-        const pill = document.createElement('span');
-        pill.className = 'participant-pill';
-        pill.textContent = participant.displayName || participant.userId;
-        participantList.appendChild(pill);
+        participantList.appendChild(createParticipantPill(participant, editing?.sessionId));
       }
     } else {
       const none = document.createElement('span');
@@ -331,84 +1347,60 @@
     participantsContainer.appendChild(participantList);
     sessionDetailEl.appendChild(participantsContainer);
 
+    const attendanceSection = createAttendanceSection(session, participantEvents);
+    if (attendanceSection) {
+      sessionDetailEl.appendChild(attendanceSection);
+    }
+
+    if (versions?.length) {
+      sessionDetailEl.appendChild(createVersionsSection(session.id, versions));
+    }
+
+    if (editCount) {
+      sessionDetailEl.appendChild(createEditHistorySection(session.id, editCount));
+    }
+
     const transcriptContainer = document.createElement('section');
     transcriptContainer.className = 'transcript';
 
     if (!segments.length) {
       const emptySegments = document.createElement('p');
-      emptySegments.textContent = 'No transcript segments were saved for this session.';
+      emptySegments.className = 'transcript-placeholder';
+      emptySegments.textContent = session.live
+        ? 'Waiting for the first transcribed segment…'
+        : 'No transcript segments were saved for this session.';
       transcriptContainer.appendChild(emptySegments);
     } else {
+      const pendingPauses = [...(pauses ?? [])];
       for (const segment of segments) {
-        const segmentEl = document.createElement('article');
-        segmentEl.className = 'segment';
-
-        const headerEl = document.createElement('div');
-        headerEl.className = 'segment-header';
-
-        const headerMain = document.createElement('div');
-        headerMain.className = 'segment-header-main';
-
-        const titleEl = document.createElement('div');
-        titleEl.className = 'segment-title';
-        titleEl.textContent = segment.label || segment.userId || 'Unknown speaker';
-        headerMain.appendChild(titleEl);
-
-        const actions = document.createElement('div');
-        actions.className = 'segment-actions';
-
-        if (segment.audioUrl) {
-          const button = document.createElement('button');
-          button.type = 'button';
-          button.className = 'segment-play';
-          button.dataset.segmentId = segment.id;
-          button.textContent = '🔊';
-          button.setAttribute('aria-label', 'Play segment audio');
-          button.addEventListener('click', handlePlayClick);
-
-          const audio = document.createElement('audio');
-          audio.src = segment.audioUrl;
-          audio.preload = 'none';
-          audio.hidden = true;
-
-          audio.addEventListener('ended', updatePlayStates);
-          audio.addEventListener('pause', updatePlayStates);
-          audio.addEventListener('play', updatePlayStates);
-
-          audioElements.set(segment.id, { audio, button });
-
-          actions.appendChild(button);
-          actions.appendChild(audio);
-        } else {
-          const disabledButton = document.createElement('button');
-          disabledButton.type = 'button';
-          disabledButton.className = 'segment-play';
-          disabledButton.textContent = '🔇';
-          disabledButton.disabled = true;
-          disabledButton.setAttribute('aria-label', 'Audio not available');
-          actions.appendChild(disabledButton);
+        while (pendingPauses.length && pendingPauses[0].startedAt <= Number(segment.startedAt)) {
+          transcriptContainer.appendChild(createPauseElement(session, pendingPauses.shift()));
         }
-
-        if (actions.children.length) {
-          headerMain.appendChild(actions);
-        }
-
-        headerEl.appendChild(headerMain);
-
-        segmentEl.appendChild(headerEl);
-
-        const textEl = document.createElement('div');
-        textEl.className = 'segment-text';
-        textEl.textContent = segment.text || '';
-        segmentEl.appendChild(textEl);
-
-        transcriptContainer.appendChild(segmentEl);
+        transcriptContainer.appendChild(createSegmentElement(segment, editing));
+      }
+      for (const pause of pendingPauses) {
+        transcriptContainer.appendChild(createPauseElement(session, pause));
       }
     }
 
     sessionDetailEl.appendChild(transcriptContainer);
 
+    if (fullAudioElement) {
+      buildSentenceTimeline(session, transcriptContainer);
+      transcriptContainer.classList.add('transcript-seekable');
+      transcriptContainer.addEventListener('click', (event) => {
+        const sentenceEl = event.target.closest('.segment-sentence');
+        if (sentenceEl) {
+          seekFullAudio(getAudioOffsetSeconds(session, sentenceEl.dataset.startedAt));
+        }
+      });
+    }
+
     updatePlayStates();
+
+    if (session.live) {
+      openLiveStream(session.id, transcriptContainer, new Set(segments.map((segment) => segment.id)));
+    }
   }
 
   function showError(message) {
@@ -419,6 +1411,116 @@
     sessionDetailEl.appendChild(error);
   }
 
+  function showReprocessConfirmation(sessionId, action) {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h3></h3>
+        <p></p>
+        <form class="reprocess-form">
+          <div class="form-group">
+            <label for="reprocess-password">Enter the admin password to confirm:</label>
+            <input type="password" id="reprocess-password" required>
+          </div>
+          <p class="reprocess-status" role="status"></p>
+          <div class="modal-actions">
+            <button type="button" class="cancel-button">Cancel</button>
+            <button type="submit" class="confirm-button"></button>
+          </div>
+        </form>
+      </div>
+    `;
+    modal.querySelector('h3').textContent = action.title;
+    modal.querySelector('p').textContent = action.description;
+    modal.querySelector('.confirm-button').textContent = action.confirmLabel;
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('.reprocess-form');
+    const statusEl = modal.querySelector('.reprocess-status');
+    const confirmButton = modal.querySelector('.confirm-button');
+    const closeModal = () => modal.remove();
+    modal.querySelector('.cancel-button').addEventListener('click', closeModal);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      confirmButton.disabled = true;
+      statusEl.textContent = 'Working… this can take a few minutes.';
+      try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/${action.path}`, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${modal.querySelector('#reprocess-password').value}` },
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(payload.error || `Request failed: ${response.status}`);
+        }
+        closeModal();
+        selectSession(sessionId);
+      } catch (error) {
+        console.error(`Failed to ${action.path} session`, error);
+        statusEl.textContent = error.message;
+        confirmButton.disabled = false;
+      }
+    });
+  }
+
+  function createVersionsSection(sessionId, versions) {
+    const section = document.createElement('details');
+    section.className = 'session-versions';
+
+    const summaryEl = document.createElement('summary');
+    summaryEl.textContent = `Previous versions (${versions.length})`;
+    section.appendChild(summaryEl);
+
+    const list = document.createElement('ul');
+    const preview = document.createElement('div');
+    preview.className = 'version-preview';
+
+    versions.forEach((version) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'action-item-source';
+      button.textContent = `${formatDate(version.createdAt)} — before ${version.reason === 'retranscribe' ? 're-transcription' : 're-summarization'}`;
+      button.addEventListener('click', async () => {
+        try {
+          const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/versions/${version.id}`);
+          if (!response.ok) {
+            throw new Error(`Failed to load version: ${response.status}`);
+          }
+          const { version: detail } = await response.json();
+          preview.innerHTML = '';
+
+          const summaryTitle = document.createElement('h4');
+          summaryTitle.textContent = 'Summary';
+          preview.appendChild(summaryTitle);
+          const summaryBody = document.createElement('div');
+          summaryBody.className = 'session-summary-body';
+          summaryBody.innerHTML = detail.summary ? renderMarkdown(detail.summary) : '<p>No summary.</p>';
+          preview.appendChild(summaryBody);
+
+          const transcriptTitle = document.createElement('h4');
+          transcriptTitle.textContent = 'Transcript';
+          preview.appendChild(transcriptTitle);
+          const transcript = document.createElement('pre');
+          transcript.className = 'version-transcript';
+          transcript.textContent = detail.transcript || 'No transcript.';
+          preview.appendChild(transcript);
+        } catch (error) {
+          console.error('Failed to load session version', error);
+          preview.textContent = 'Failed to load this version.';
+        }
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    section.appendChild(list);
+    section.appendChild(preview);
+    return section;
+  }
+
   function showDeleteConfirmation(sessionId) {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
@@ -475,7 +1577,14 @@
 
         closeModal();
         sessions = sessions.filter(s => s.id !== sessionId);
-        renderSessionList();
+        if (searchResults) {
+          searchResults = {
+            ...searchResults,
+            segments: (searchResults.segments || []).filter((hit) => hit.sessionId !== sessionId),
+            sessions: (searchResults.sessions || []).filter((hit) => hit.sessionId !== sessionId),
+          };
+        }
+        refreshSidebar();
 
         if (sessions.length > 0) {
           selectSession(sessions[0].id);
@@ -498,9 +1607,9 @@
     });
   }
 
-  async function selectSession(sessionId) {
+  async function selectSession(sessionId, focus = null) {
     activeSessionId = sessionId;
-    renderSessionList();
+    refreshSidebar();
     try {
       const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`);
       if (!response.ok) {
@@ -508,15 +1617,96 @@
       }
       const payload = await response.json();
       renderSessionDetail(payload);
+      focusSegment(payload.session, focus);
     } catch (error) {
       console.error('Failed to load session detail', error);
       showError('Failed to load session detail.');
     }
   }
 
+  function getLoginUrl() {
+    const returnTo = `${window.location.pathname}${window.location.search}`;
+    return `/auth/login?returnTo=${encodeURIComponent(returnTo)}`;
+  }
+
+  function showLoginPrompt() {
+    sessions = [];
+    renderSessionList();
+    sessionDetailEl.classList.remove('empty');
+    sessionDetailEl.innerHTML = '';
+
+    const prompt = document.createElement('section');
+    prompt.className = 'login-prompt';
+
+    const message = document.createElement('p');
+    message.textContent = 'Sign in with Discord to see the calls recorded in your servers.';
+    prompt.appendChild(message);
+
+    const link = document.createElement('a');
+    link.className = 'login-button';
+    link.href = getLoginUrl();
+    link.textContent = 'Sign in with Discord';
+    prompt.appendChild(link);
+
+    sessionDetailEl.appendChild(prompt);
+  }
+
+  function renderAccountBar(account) {
+    accountBarEl.innerHTML = '';
+    if (!account?.authEnabled || !account.user) {
+      accountBarEl.hidden = true;
+      return;
+    }
+    accountBarEl.hidden = false;
+
+    const { user } = account;
+    if (user.avatar) {
+      const avatar = document.createElement('img');
+      avatar.className = 'account-avatar';
+      avatar.alt = '';
+      avatar.src = `https://cdn.discordapp.com/avatars/${encodeURIComponent(user.id)}/${encodeURIComponent(user.avatar)}.png?size=64`;
+      accountBarEl.appendChild(avatar);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'account-name';
+    name.textContent = user.username || user.id;
+    accountBarEl.appendChild(name);
+
+    const logoutButton = document.createElement('button');
+    logoutButton.type = 'button';
+    logoutButton.className = 'logout-button';
+    logoutButton.textContent = 'Sign out';
+    logoutButton.addEventListener('click', async () => {
+      try {
+        await fetch('/auth/logout', { method: 'POST' });
+      } finally {
+        window.location.reload();
+      }
+    });
+    accountBarEl.appendChild(logoutButton);
+  }
+
+  async function loadAccount() {
+    try {
+      const response = await fetch('/api/me');
+      if (!response.ok) {
+        throw new Error(`Failed to load account: ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Failed to load account', error);
+      return null;
+    }
+  }
+
   async function loadSessions() {
     try {
       const response = await fetch('/api/sessions');
+      if (response.status === 401) {
+        showLoginPrompt();
+        return;
+      }
       if (!response.ok) {
         throw new Error(`Failed to load sessions: ${response.status}`);
       }
@@ -552,5 +1742,13 @@
     }
   }
 
-  loadSessions();
+  loadAccount().then((account) => {
+    currentAccount = account;
+    renderAccountBar(account);
+    if (account?.authEnabled && !account.user) {
+      showLoginPrompt();
+      return;
+    }
+    loadSessions();
+  });
 })();
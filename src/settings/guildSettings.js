@@ -0,0 +1,138 @@
+const { SUMMARY_TEMPLATES } = require('../summary/templates');
+
+const DEFAULT_GUILD_SETTINGS = {
+  transcriptionUrl: null,
+  summaryPrompt: null,
+  summaryTemplate: null,
+  language: null,
+  retentionDays: null,
+  announceChannelId: null,
+  autoSummary: true,
+  resultThread: false,
+};
+
+const GUILD_SETTING_KEYS = Object.keys(DEFAULT_GUILD_SETTINGS);
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i;
+const MAX_SUMMARY_PROMPT_LENGTH = 1500;
+
+// The bot's transcription API key is sent to whatever endpoint a server uses,
+// so servers may only pick hosts the operator listed in
+// TRANSCRIPTION_ALLOWED_HOSTS (a bare host name, or host:port).
+function isAllowedTranscriptionUrl(url, allowedHosts = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    return false;
+  }
+  const hosts = allowedHosts.map((host) => host.toLowerCase());
+  return hosts.includes(parsed.host.toLowerCase()) || hosts.includes(parsed.hostname.toLowerCase());
+}
+
+function resolveGuildSettings(database, guildId) {
+  const stored = guildId ? database?.getGuildSettings(guildId) : null;
+  const resolved = { ...DEFAULT_GUILD_SETTINGS };
+  for (const key of GUILD_SETTING_KEYS) {
+    if (stored?.[key] != null) {
+      resolved[key] = stored[key];
+    }
+  }
+  return resolved;
+}
+
+// Returns the normalized value, or throws with a message suitable for showing
+// to the admin who issued the command.
+function validateGuildSetting(key, value, { allowedTranscriptionHosts = [] } = {}) {
+  if (value == null) {
+    return null;
+  }
+
+  switch (key) {
+    case 'transcriptionUrl': {
+      let parsed;
+      try {
+        parsed = new URL(String(value).trim());
+      } catch (_) {
+        throw new Error('The transcription endpoint must be a full URL.');
+      }
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error('The transcription endpoint must use http or https.');
+      }
+      if (!allowedTranscriptionHosts.length) {
+        throw new Error('This bot does not allow servers to choose their own transcription endpoint.');
+      }
+      if (!isAllowedTranscriptionUrl(parsed.toString(), allowedTranscriptionHosts)) {
+        throw new Error(`The transcription endpoint must be on one of these hosts: ${allowedTranscriptionHosts.join(', ')}.`);
+      }
+      return parsed.toString();
+    }
+    case 'summaryPrompt': {
+      const prompt = String(value).trim();
+      if (!prompt) {
+        return null;
+      }
+      if (prompt.length > MAX_SUMMARY_PROMPT_LENGTH) {
+        throw new Error(`The summary prompt can be at most ${MAX_SUMMARY_PROMPT_LENGTH} characters.`);
+      }
+      return prompt;
+    }
+    case 'summaryTemplate': {
+      const name = String(value).trim().toLowerCase();
+      if (!SUMMARY_TEMPLATES[name]) {
+        throw new Error(`Unknown summary template. Choose one of: ${Object.keys(SUMMARY_TEMPLATES).join(', ')}.`);
+      }
+      return name;
+    }
+    case 'language': {
+      const language = String(value).trim();
+      if (!LANGUAGE_PATTERN.test(language)) {
+        throw new Error('The language must be an ISO-639 code such as `en` or `pt-BR`.');
+      }
+      return language;
+    }
+    case 'retentionDays': {
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < 0) {
+        throw new Error('The retention period must be a whole number of days (0 keeps audio forever).');
+      }
+      return days;
+    }
+    case 'announceChannelId':
+      return String(value);
+    case 'autoSummary':
+    case 'resultThread':
+      return Boolean(value);
+    default:
+      throw new Error(`Unknown setting: ${key}`);
+  }
+}
+
+function describeGuildSettings(settings) {
+  const prompt = settings.summaryPrompt
+    ? `"${settings.summaryPrompt.length > 200 ? `${settings.summaryPrompt.slice(0, 199)}…` : settings.summaryPrompt}"`
+    : 'bot default';
+  return [
+    `Transcription endpoint: ${settings.transcriptionUrl ?? 'bot default'}`,
+    `Language: ${settings.language ?? 'auto-detect'}`,
+    `Summary template: ${SUMMARY_TEMPLATES[settings.summaryTemplate]?.label ?? SUMMARY_TEMPLATES.default.label}`,
+    `Summary prompt: ${prompt}`,
+    `Auto-summary: ${settings.autoSummary ? 'on' : 'off'}`,
+    `Audio retention: ${settings.retentionDays ? `${settings.retentionDays} day(s)` : 'keep forever'}`,
+    `Announcement channel: ${settings.announceChannelId ? `<#${settings.announceChannelId}>` : 'where the recording is stopped'}`,
+    `Discussion thread: ${settings.resultThread ? 'on' : 'off'}`,
+  ];
+}
+
+module.exports = {
+  DEFAULT_GUILD_SETTINGS,
+  GUILD_SETTING_KEYS,
+  MAX_SUMMARY_PROMPT_LENGTH,
+  describeGuildSettings,
+  isAllowedTranscriptionUrl,
+  resolveGuildSettings,
+  validateGuildSetting,
+};
@@ -0,0 +1,57 @@
+// Without the model's tokenizer we assume ~3 characters per token, which errs
+// on the safe side for English and most other Latin-script languages.
+const CHARS_PER_TOKEN = 3;
+
+function estimateTokens(text) {
+  return Math.ceil((text?.length ?? 0) / CHARS_PER_TOKEN);
+}
+
+// Breaks a single over-long line at whitespace so no piece exceeds maxTokens.
+function splitLongLine(line, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const pieces = [];
+  let rest = line;
+  while (rest.length > maxChars) {
+    let cut = rest.lastIndexOf(' ', maxChars);
+    if (cut <= 0) {
+      cut = maxChars;
+    }
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+// Groups consecutive lines into chunks of at most maxTokens, never splitting a
+// line unless it is too long to fit in a chunk on its own.
+function chunkLines(lines, maxTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length) {
+      chunks.push(current.join('\n'));
+    }
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const line of lines) {
+    for (const piece of splitLongLine(line, maxTokens)) {
+      const tokens = estimateTokens(piece) + 1;
+      if (currentTokens + tokens > maxTokens) {
+        flush();
+      }
+      current.push(piece);
+      currentTokens += tokens;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+module.exports = { chunkLines, estimateTokens };
@@ -0,0 +1,141 @@
+const SUMMARY_FORMATS = ['markdown', 'structured'];
+
+const MAX_ITEMS_PER_LIST = 50;
+const MAX_ITEM_LENGTH = 1000;
+
+const STRUCTURED_SUMMARY_INSTRUCTIONS = [
+  'Respond with a single JSON object and nothing else, using exactly these keys:',
+  '"overview" (string, two or three sentences),',
+  '"topics" (array of strings),',
+  '"decisions" (array of strings),',
+  '"actionItems" (array of objects with "task" (string), "assignee" (the participant id from the list above, or null when nobody took it on) and "dueDate" (YYYY-MM-DD or null; resolve relative dates against the start time)),',
+  '"openQuestions" (array of strings).',
+  'Use empty arrays for anything that was not discussed.',
+].join(' ');
+
+function normalizeSummaryFormat(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return SUMMARY_FORMATS.includes(normalized) ? normalized : 'markdown';
+}
+
+// Models like to wrap JSON in code fences or add a sentence before it.
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Structured summary did not contain a JSON object');
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Structured summary was not valid JSON: ${error.message}`);
+  }
+}
+
+function cleanString(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_ITEM_LENGTH);
+}
+
+function readStringList(payload, key) {
+  const value = payload[key] ?? [];
+  if (!Array.isArray(value)) {
+    throw new Error(`Structured summary field "${key}" must be an array`);
+  }
+  return value.map(cleanString).filter(Boolean).slice(0, MAX_ITEMS_PER_LIST);
+}
+
+function normalizeDueDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    return null;
+  }
+  const date = new Date(`${value.trim()}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : value.trim();
+}
+
+// Maps whatever the model put in "assignee" (a user id, a display name, or a
+// name with an @) back to a participant.
+function resolveAssignee(value, participants) {
+  const raw = cleanString(value == null ? '' : String(value)).replace(/^@/, '');
+  if (!raw) {
+    return { userId: null, name: null };
+  }
+  const lowered = raw.toLowerCase();
+  const match = participants.find((participant) => participant.userId === raw)
+    ?? participants.find((participant) => participant.displayName?.toLowerCase() === lowered);
+  if (match) {
+    return { userId: match.userId ?? null, name: match.displayName ?? match.userId };
+  }
+  return { userId: null, name: raw };
+}
+
+// Validates the model output and returns
+// { overview, topics, decisions, actionItems, openQuestions }, or throws.
+function parseStructuredSummary(text, participants = []) {
+  const payload = extractJsonObject(typeof text === 'string' ? text : '');
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Structured summary must be a JSON object');
+  }
+
+  const rawItems = payload.actionItems ?? [];
+  if (!Array.isArray(rawItems)) {
+    throw new Error('Structured summary field "actionItems" must be an array');
+  }
+
+  const actionItems = [];
+  for (const item of rawItems.slice(0, MAX_ITEMS_PER_LIST)) {
+    const task = cleanString(typeof item === 'string' ? item : item?.task ?? item?.text);
+    if (!task) {
+      continue;
+    }
+    const assignee = resolveAssignee(item?.assignee, participants);
+    actionItems.push({
+      text: task,
+      assigneeUserId: assignee.userId,
+      assigneeName: assignee.name,
+      dueDate: normalizeDueDate(item?.dueDate),
+    });
+  }
+
+  return {
+    overview: cleanString(payload.overview),
+    topics: readStringList(payload, 'topics'),
+    decisions: readStringList(payload, 'decisions'),
+    actionItems,
+    openQuestions: readStringList(payload, 'openQuestions'),
+  };
+}
+
+// The Markdown rendering is what gets stored as the session summary, posted
+// to Discord and indexed for search, same as a free-form summary.
+function renderStructuredSummary(structured) {
+  const sections = [];
+  if (structured.overview) {
+    sections.push(structured.overview);
+  }
+
+  const list = (title, items) => {
+    sections.push(`**${title}**\n${items.length ? items.map((item) => `- ${item}`).join('\n') : 'None noted.'}`);
+  };
+  if (structured.topics.length) {
+    list('Topics', structured.topics);
+  }
+  list('Decisions', structured.decisions);
+  list('Action Items', structured.actionItems.map((item) => {
+    const details = [item.assigneeName, item.dueDate ? `due ${item.dueDate}` : null].filter(Boolean);
+    return details.length ? `${item.text} (${details.join(', ')})` : item.text;
+  }));
+  if (structured.openQuestions.length) {
+    list('Open Questions', structured.openQuestions);
+  }
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  STRUCTURED_SUMMARY_INSTRUCTIONS,
+  normalizeSummaryFormat,
+  parseStructuredSummary,
+  renderStructuredSummary,
+};
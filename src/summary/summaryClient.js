@@ -1,4 +1,12 @@
 const OpenAI = require('openai');
+const { chunkLines, estimateTokens } = require('./chunking');
+const { buildTemplateVariables, renderTemplate, resolveSummaryTemplate } = require('./templates');
+const {
+  STRUCTURED_SUMMARY_INSTRUCTIONS,
+  normalizeSummaryFormat,
+  parseStructuredSummary,
+  renderStructuredSummary,
+} = require('./structuredSummary');
 
 function normalizeBaseUrl(url) {
   if (!url) {
@@ -24,6 +32,14 @@ function normalizeBaseUrl(url) {
   }
 }
 
+const DEFAULT_CONTEXT_TOKENS = 8192;
+const DEFAULT_CHUNK_TOKENS = 3000;
+const NOTES_MAX_TOKENS = 500;
+// Sent when the model list cannot be fetched; single-model servers such as
+// llama.cpp or LocalAI ignore the name.
+const FALLBACK_MODEL_ID = 'default';
+const NOTES_INSTRUCTIONS = 'Write concise bullet-point notes of this part of the call: what was discussed, decisions, action items with their owners and dates, and open questions. Keep speaker names. Do not add an introduction.';
+
 function cleanText(value) {
   if (typeof value !== 'string') {
     return value == null ? '' : String(value);
@@ -62,11 +78,39 @@ function extractMessageContent(message) {
   return '';
 }
 
+// vLLM reports max_model_len, llama.cpp the training context in meta.
+function readContextTokens(model) {
+  if (!model || typeof model !== 'object') {
+    return null;
+  }
+  const reported = Number(model.max_model_len ?? model.context_length ?? model.meta?.n_ctx_train);
+  return Number.isFinite(reported) && reported > 0 ? reported : null;
+}
+
 class SummaryClient {
-  constructor({ baseUrl, apiKey, timeoutMs } = {}) {
+  constructor({
+    baseUrl,
+    apiKey,
+    timeoutMs,
+    format,
+    model,
+    temperature,
+    maxTokens,
+    contextTokens,
+    chunkTokens,
+  } = {}) {
     this.baseUrl = normalizeBaseUrl(baseUrl);
     this.apiKey = apiKey?.trim() || null;
     this.timeoutMs = Number.isFinite(timeoutMs) ? timeoutMs : 60_000;
+    this.format = normalizeSummaryFormat(format);
+    this.model = model?.trim() || null;
+    this.temperature = Number.isFinite(temperature) ? temperature : 0.3;
+    this.maxTokens = Number.isFinite(maxTokens) && maxTokens > 0 ? Math.floor(maxTokens) : null;
+    // Explicit values win over the context length reported by the server.
+    this.contextTokens = Number.isFinite(contextTokens) && contextTokens > 0 ? Math.floor(contextTokens) : null;
+    this.chunkTokens = Number.isFinite(chunkTokens) && chunkTokens > 0 ? Math.floor(chunkTokens) : DEFAULT_CHUNK_TOKENS;
+    // Cleared once a server says it does not support response_format.
+    this.jsonMode = true;
     this._client = null;
     this._modelPromise = null;
 
@@ -83,45 +127,131 @@ class SummaryClient {
     return Boolean(this._client);
   }
 
-  async _getModelId() {
+  async _getModel() {
     if (!this.isConfigured()) {
       throw new Error('Summary client is not configured');
     }
 
     if (!this._modelPromise) {
-      this._modelPromise = this._loadModelId().catch((error) => {
+      this._modelPromise = this._loadModel().catch((error) => {
         this._modelPromise = null;
         throw error;
       });
     }
 
-    return this._modelPromise;
+    try {
+      return await this._modelPromise;
+    } catch (error) {
+      // Some servers do not implement /models or require other permissions
+      // for it; try the completion anyway rather than losing the summary.
+      const id = this.model ?? FALLBACK_MODEL_ID;
+      console.warn(`Failed to list LLM models, using "${id}":`, error.message);
+      return { id, contextTokens: null };
+    }
   }
 
-  async _loadModelId() {
+  async _loadModel() {
     const response = await this._client.models.list();
     const models = Array.isArray(response?.data) ? response.data : [];
     if (!models.length) {
       throw new Error('LLM server returned no models');
     }
 
+    // The list is still fetched for a configured model, for its context length.
+    if (this.model) {
+      const match = models.find((entry) => (typeof entry === 'string' ? entry : entry?.id) === this.model);
+      if (!match) {
+        console.warn(`LLM model "${this.model}" is not in the server's model list; using it anyway`);
+      }
+      return { id: this.model, contextTokens: match ? readContextTokens(match) : null };
+    }
+
     const first = models[0];
     if (!first) {
       throw new Error('LLM server returned an empty model entry');
     }
 
     if (typeof first === 'string') {
-      return first;
+      return { id: first, contextTokens: null };
     }
 
     if (first.id) {
-      return first.id;
+      return { id: first.id, contextTokens: readContextTokens(first) };
     }
 
     throw new Error('Unable to determine model id from LLM response');
   }
 
-  async summarize({ transcript, sessionMetadata, segments } = {}) {
+  async _complete({ model, structured = false, maxTokens, messages }) {
+    const request = {
+      model,
+      temperature: this.temperature,
+      max_tokens: maxTokens,
+      messages,
+    };
+
+    let response;
+    if (structured && this.jsonMode) {
+      try {
+        response = await this._client.chat.completions.create({
+          ...request,
+          response_format: { type: 'json_object' },
+        });
+      } catch (error) {
+        if (!(error instanceof OpenAI.APIError) || ![400, 422].includes(error.status)) {
+          throw error;
+        }
+        // Other 400s (such as a prompt over the context length) only fall
+        // back for this call.
+        if (/response_format|json_object/i.test(error.message ?? '')) {
+          this.jsonMode = false;
+        }
+      }
+    }
+    response ??= await this._client.chat.completions.create(request);
+
+    const content = extractMessageContent(response?.choices?.[0]?.message);
+    if (!content) {
+      throw new Error('LLM response did not include summary text');
+    }
+    return content;
+  }
+
+  // Map step: condenses each chunk into notes. Notes that are still too long
+  // for one prompt are chunked and condensed again until they fit.
+  async _condense({ model, systemPrompt, header, lines, budget, chunkTokens }) {
+    let parts = chunkLines(lines, chunkTokens);
+    let notes = [];
+    for (let round = 1; ; round += 1) {
+      notes = [];
+      for (const [index, part] of parts.entries()) {
+        const label = round === 1
+          ? `Transcript of part ${index + 1} of ${parts.length} of the call:`
+          : `Notes on parts of the call (batch ${index + 1} of ${parts.length}):`;
+        notes.push(await this._complete({
+          model,
+          maxTokens: NOTES_MAX_TOKENS,
+          messages: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: `${header}${label}\n${part}\n\n${NOTES_INSTRUCTIONS}` },
+          ],
+        }));
+      }
+
+      const merged = notes.join('\n\n');
+      if (estimateTokens(merged) <= budget) {
+        return merged;
+      }
+      const next = chunkLines(notes, chunkTokens);
+      // Stop once another round would not reduce the number of parts.
+      if (next.length >= parts.length) {
+        return merged;
+      }
+      parts = next;
+    }
+  }
+
+  async summarize({ transcript, sessionMetadata, segments, prompt, template, language } = {}) {
     if (!this.isConfigured()) {
       return { status: 'skipped', reason: 'Summarization service not configured' };
     }
@@ -132,7 +262,13 @@ class SummaryClient {
     }
 
     try {
-      const model = await this._getModelId();
+      const model = await this._getModel();
+      const structured = this.format === 'structured';
+      // A server's custom prompt replaces the template's system prompt; the
+      // template still decides the layout of free-form summaries.
+      const summaryTemplate = resolveSummaryTemplate(template);
+      const variables = buildTemplateVariables(sessionMetadata);
+      const systemPrompt = renderTemplate(prompt || summaryTemplate.system, variables);
 
       const participantNames = Array.isArray(sessionMetadata?.participants)
         ? sessionMetadata.participants
@@ -151,12 +287,37 @@ class SummaryClient {
       if (sessionMetadata?.channelName) {
         sessionInfoLines.push(`Channel: ${sessionMetadata.channelName}`);
       }
-      if (participantNames.length) {
+      if (structured && Array.isArray(sessionMetadata?.participants) && sessionMetadata.participants.length) {
+        // Ids let the model assign action items to a specific participant.
+        sessionInfoLines.push('Participants (id: name):\n' + sessionMetadata.participants
+          .map((participant) => `- ${participant?.userId ?? 'unknown'}: ${participant?.displayName ?? participant?.userId}`)
+          .join('\n'));
+      } else if (participantNames.length) {
         sessionInfoLines.push(`Participants: ${participantNames.join(', ')}`);
       }
       if (startTimestamp) {
         sessionInfoLines.push(`Started At: ${startTimestamp}`);
       }
+      const header = sessionInfoLines.length ? `${sessionInfoLines.join('\n')}\n\n` : '';
+
+      const instructions = structured
+        ? [STRUCTURED_SUMMARY_INSTRUCTIONS]
+        : [renderTemplate(summaryTemplate.instructions, variables)];
+      if (language) {
+        instructions.push(`Write the summary in the language with ISO code "${language}".`);
+      }
+      const instructionText = instructions.join(' ');
+      const maxTokens = this.maxTokens ?? (structured ? 1200 : 400);
+
+      // Whatever is left of the context window once the fixed parts of the
+      // prompt and the reply are accounted for.
+      const contextTokens = this.contextTokens ?? model.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+      const overhead = estimateTokens(systemPrompt) + estimateTokens(header) + estimateTokens(instructionText) + 64;
+      const budget = contextTokens - overhead - maxTokens;
+      const notesBudget = contextTokens - overhead - NOTES_MAX_TOKENS;
+      if (budget <= 0 || notesBudget <= 0) {
+        throw new Error(`Model context of ${contextTokens} tokens is too small for the summary prompt`);
+      }
 
       const segmentSummaries = Array.isArray(segments)
         ? segments
@@ -165,39 +326,54 @@ class SummaryClient {
             .map((segment) => `- ${segment.label}: ${cleanText(segment.text).slice(0, 500)}`)
         : [];
 
-      const promptSections = [];
-      if (sessionInfoLines.length) {
-        promptSections.push(sessionInfoLines.join('\n'));
-      }
-      if (segmentSummaries.length) {
-        promptSections.push('Recent speaking turns:\n' + segmentSummaries.join('\n'));
+      let material = [
+        segmentSummaries.length ? 'Recent speaking turns:\n' + segmentSummaries.join('\n') : null,
+        'Full transcript:\n' + cleanedTranscript,
+      ].filter(Boolean).join('\n\n');
+
+      if (estimateTokens(material) > budget) {
+        const lines = Array.isArray(segments) && segments.some((segment) => segment?.text)
+          ? segments
+              .filter((segment) => segment?.text)
+              .map((segment) => `${segment.label ?? 'Unknown'}: ${cleanText(segment.text).trim()}`)
+          : cleanedTranscript.split('\n').filter((line) => line.trim());
+        const notes = await this._condense({
+          model: model.id,
+          systemPrompt,
+          header,
+          lines,
+          budget,
+          chunkTokens: Math.min(this.chunkTokens, notesBudget),
+        });
+        material = `Notes taken from consecutive parts of the call, in order:\n${notes}`;
       }
-      promptSections.push('Full transcript:\n' + cleanedTranscript);
-
-      const userPrompt = promptSections.join('\n\n');
 
-      const response = await this._client.chat.completions.create({
-        model,
-        temperature: 0.3,
-        max_tokens: 400,
+      const content = await this._complete({
+        model: model.id,
+        structured,
+        maxTokens,
         messages: [
           {
             role: 'system',
-            content: 'You are an assistant that produces concise meeting summaries with key takeaways and action items when possible.',
+            content: systemPrompt,
           },
           {
             role: 'user',
-            content: `${userPrompt}\n\nProvide a structured summary with sections for Key Points and Action Items. If a section has no content, state "None noted."`,
+            content: `${header}${material}\n\n${instructionText}`,
           },
         ],
       });
 
-      const summary = extractMessageContent(response?.choices?.[0]?.message);
-      if (!summary) {
-        throw new Error('LLM response did not include summary text');
+      if (!structured) {
+        return { status: 'summarized', summary: content };
       }
 
-      return { status: 'summarized', summary };
+      const structuredSummary = parseStructuredSummary(content, sessionMetadata?.participants ?? []);
+      return {
+        status: 'summarized',
+        summary: renderStructuredSummary(structuredSummary),
+        structured: structuredSummary,
+      };
     } catch (error) {
       console.error('Summarization failed:', error);
       return { status: 'failed', reason: error.message };
@@ -0,0 +1,67 @@
+// Named summary styles. `system` becomes the system prompt and `instructions`
+// is appended after the transcript (free-form summaries only; structured
+// summaries always use the JSON instructions). Both accept template variables.
+const SUMMARY_TEMPLATES = {
+  default: {
+    label: 'General meeting',
+    system: 'You are an assistant that produces concise meeting summaries with key takeaways and action items when possible.',
+    instructions: 'Provide a structured summary with sections for Key Points and Action Items. If a section has no content, state "None noted."',
+  },
+  standup: {
+    label: 'Daily standup',
+    system: 'You summarize daily standup meetings of the {{channel}} team in {{guild}}. Be brief and factual.',
+    instructions: 'For each participant, list what they did, what they plan to do next and any blockers, as a short bullet list under their name. Finish with a Blockers section that collects every blocker and who can help. Omit anything that was not said.',
+  },
+  retro: {
+    label: 'Retrospective',
+    system: 'You summarize team retrospectives held on {{date}} in {{guild}}. Stay neutral and do not attribute blame.',
+    instructions: 'Provide sections for What Went Well, What Could Be Improved, and Action Items (with owners when someone volunteered). If a section has no content, state "None noted."',
+  },
+  interview: {
+    label: 'Interview',
+    system: 'You write interview notes. The participants were {{participants}}. Distinguish clearly between the interviewer and the candidate or interviewee.',
+    instructions: 'Provide sections for Background, Main Topics with the answers given, Notable Quotes (verbatim, attributed), and Follow-up Questions. Do not give a hiring recommendation.',
+  },
+  dnd: {
+    label: 'D&D session recap',
+    system: 'You are the chronicler of a tabletop role-playing campaign played in {{guild}}. The players were {{participants}}. Write in the past tense, in an engaging but concise style, and separate in-character events from out-of-character table talk.',
+    instructions: 'Write a recap of the session played on {{date}} with sections for Story So Far (a short narrative), Key Events, NPCs Met, Loot and Rewards, and Open Threads. Ignore rules discussions and out-of-character chatter unless they changed the story.',
+  },
+};
+
+function resolveSummaryTemplate(name) {
+  return SUMMARY_TEMPLATES[name] ?? SUMMARY_TEMPLATES.default;
+}
+
+// Replaces {{guild}}, {{channel}}, {{participants}} and {{date}}. Unknown
+// placeholders are left as they are.
+function renderTemplate(text, variables) {
+  if (!text) {
+    return text;
+  }
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value == null || value === '' ? match : String(value);
+  });
+}
+
+function buildTemplateVariables(sessionMetadata) {
+  const participants = (sessionMetadata?.participants ?? [])
+    .map((participant) => participant?.displayName ?? participant?.userId)
+    .filter(Boolean);
+  return {
+    guild: sessionMetadata?.guildName ?? 'the server',
+    channel: sessionMetadata?.channelName ?? 'the voice channel',
+    participants: participants.length ? participants.join(', ') : 'the participants',
+    date: Number.isFinite(sessionMetadata?.startedAt)
+      ? new Date(sessionMetadata.startedAt).toISOString().slice(0, 10)
+      : 'the day of the call',
+  };
+}
+
+module.exports = {
+  SUMMARY_TEMPLATES,
+  buildTemplateVariables,
+  renderTemplate,
+  resolveSummaryTemplate,
+};
@@ -0,0 +1,117 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+
+class LiveTranscriber extends EventEmitter {
+  constructor({ transcriptionClient, database, recordingRoot, enabled } = {}) {
+    super();
+    this.transcriptionClient = transcriptionClient ?? null;
+    this.database = database ?? null;
+    this.recordingRoot = recordingRoot ?? null;
+    this.enabled = Boolean(enabled);
+    this.sessions = new Map();
+    // Every open SSE response subscribes here; lift the default cap of 10.
+    this.setMaxListeners(0);
+  }
+
+  isEnabled(transcriptionClient = this.transcriptionClient) {
+    return this.enabled && Boolean(transcriptionClient?.isConfigured());
+  }
+
+  isLive(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  startSession(session, { transcriptionClient = this.transcriptionClient } = {}) {
+    if (!this.isEnabled(transcriptionClient) || this.sessions.has(session.id)) {
+      return;
+    }
+
+    this.sessions.set(session.id, { queue: Promise.resolve(), closed: false, transcriptionClient, removedUsers: new Map() });
+    try {
+      this.database?.startLiveSession(session);
+    } catch (error) {
+      console.error(`Failed to create live session row for ${session.id}:`, error);
+    }
+  }
+
+  handleBurst(sessionId, burst) {
+    const state = this.sessions.get(sessionId);
+    if (!state || state.closed) {
+      return;
+    }
+
+    // Transcribe bursts one at a time per session so segments arrive in order
+    // and a long call cannot flood the transcription service.
+    state.queue = state.queue
+      .then(() => (state.closed ? null : this._transcribe(sessionId, burst, state.transcriptionClient)))
+      .catch((error) => {
+        console.error(`Live transcription failed for session ${sessionId}:`, error);
+      });
+  }
+
+  async finishSession(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) {
+      return;
+    }
+
+    // Bursts that have not started yet are dropped; the full post-processing
+    // pass transcribes everything again and replaces the live segments.
+    state.closed = true;
+    await state.queue;
+  }
+
+  // Someone opted out mid-call: drop what was already transcribed for them and
+  // anything still queued from before the opt-out.
+  removeUser(sessionId, userId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) {
+      return;
+    }
+    state.removedUsers.set(userId, Date.now());
+    const segmentIds = this.database?.deleteUserSegments(sessionId, userId) ?? [];
+    if (segmentIds.length) {
+      this.emit('remove', { sessionId, segmentIds });
+    }
+  }
+
+  endSession(sessionId) {
+    if (!this.sessions.delete(sessionId)) {
+      return;
+    }
+    this.emit('end', { sessionId });
+  }
+
+  async _transcribe(sessionId, burst, transcriptionClient) {
+    const result = await transcriptionClient.transcribeBurst(burst);
+    if (result.status !== 'sent' || !result.segment?.text) {
+      if (result.status === 'failed') {
+        console.warn(`Live transcription skipped a burst for session ${sessionId}: ${result.reason}`);
+      }
+      return;
+    }
+
+    const { segment } = result;
+    const removedAt = this.sessions.get(sessionId)?.removedUsers.get(burst.userId);
+    if (removedAt && !(burst.startedAt > removedAt)) {
+      return;
+    }
+    const record = {
+      id: segment.id,
+      sessionId,
+      userId: segment.userId ?? null,
+      label: segment.label ?? null,
+      startedAt: segment.startedAt ?? null,
+      text: segment.text,
+      audioPath: segment.audioPath && this.recordingRoot
+        ? path.relative(this.recordingRoot, segment.audioPath)
+        : null,
+      timings: segment.timings ?? [],
+    };
+
+    this.database?.appendSegment(record);
+    this.emit('segment', { sessionId, segment: record });
+  }
+}
+
+module.exports = { LiveTranscriber };
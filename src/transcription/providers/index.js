@@ -0,0 +1,20 @@
+const { MultipartTranscriptionProvider } = require('./multipartProvider');
+const { OpenAITranscriptionProvider } = require('./openaiProvider');
+
+const PROVIDERS = {
+  multipart: MultipartTranscriptionProvider,
+  openai: OpenAITranscriptionProvider,
+};
+
+function createTranscriptionProvider({ provider, ...config } = {}) {
+  const name = typeof provider === 'string' && provider.trim()
+    ? provider.trim().toLowerCase()
+    : 'multipart';
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown transcription provider "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(config);
+}
+
+module.exports = { createTranscriptionProvider };
@@ -0,0 +1,459 @@
+const crypto = require('crypto');
+const { parseTimings } = require('./timings');
+const { UploadPool, parseRetryAfter } = require('./uploadPool');
+
+const PRIMARY_FILE_FIELD = 'file';
+const SECONDARY_FILE_FIELD = 'files';
+
+function resolveSingleUrl(url) {
+  if (!url) {
+    return null;
+  }
+  const trimmed = url.trim().replace(/\/+$/, '');
+  if (trimmed.endsWith('/batch')) {
+    return trimmed.slice(0, -'/batch'.length) || null;
+  }
+  return trimmed || null;
+}
+
+function resolveBatchUrl(url) {
+  if (!url) {
+    return null;
+  }
+  const trimmed = url.trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    return null;
+  }
+  if (trimmed.endsWith('/batch')) {
+    return trimmed;
+  }
+  return `${trimmed}/batch`;
+}
+
+function extractTranscription(bodyText) {
+  if (!bodyText) {
+    return { text: '', timings: [] };
+  }
+
+  try {
+    const parsed = JSON.parse(bodyText);
+    if (typeof parsed === 'string') {
+      return { text: parsed, timings: [] };
+    }
+    if (parsed && typeof parsed.transcription === 'string') {
+      return { text: parsed.transcription, timings: parseTimings(parsed) };
+    }
+    if (parsed && typeof parsed.text === 'string') {
+      return { text: parsed.text, timings: parseTimings(parsed) };
+    }
+  } catch (_) {
+    // Treat non-JSON bodies as plain text responses.
+  }
+
+  return { text: bodyText.replace(/^"|"$/g, '').trim(), timings: [] };
+}
+
+function parseMissingField(bodyText) {
+  if (!bodyText) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(bodyText);
+    const details = Array.isArray(parsed?.detail) ? parsed.detail : [];
+    for (const item of details) {
+      if (!item?.loc) {
+        continue;
+      }
+      const path = Array.isArray(item.loc) ? item.loc : [];
+      if (path.length >= 2 && path[0] === 'body' && typeof path[1] === 'string') {
+        return path[1];
+      }
+    }
+  } catch (_) {
+    // Ignore JSON parse failures; fallback to null.
+  }
+
+  return null;
+}
+
+class UploadError extends Error {
+  constructor(message, { status, bodyText, attemptedField, retryAfter = null }) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.bodyText = bodyText;
+    this.attemptedField = attemptedField;
+    this.missingField = parseMissingField(bodyText);
+    this.retryAfterMs = parseRetryAfter(retryAfter);
+  }
+}
+
+// Rate limits and server errors are worth retrying; fetch rejects with a
+// TypeError when the connection itself fails.
+function classifyUploadFailure(error) {
+  if (error instanceof UploadError) {
+    if (error.status === 429) {
+      return { kind: 'rateLimited', retryAfterMs: error.retryAfterMs };
+    }
+    if (error.status >= 500) {
+      return { kind: 'server', retryAfterMs: error.retryAfterMs };
+    }
+    return null;
+  }
+  return error instanceof TypeError ? { kind: 'network' } : null;
+}
+
+async function uploadBatch({ url, uploads, headerName, apiKey, language, signal }) {
+  if (!url) {
+    throw new Error('Batch endpoint URL is not configured');
+  }
+  if (!uploads.length) {
+    return { segments: [], errors: [] };
+  }
+
+  const formData = new FormData();
+  for (const upload of uploads) {
+    if (!upload?.wavBuffer) {
+      continue;
+    }
+    const file = new File([upload.wavBuffer], upload.wavFileName, { type: 'audio/wav' });
+    formData.append(SECONDARY_FILE_FIELD, file, upload.wavFileName);
+  }
+  if (language) {
+    formData.append('language', language);
+  }
+
+  const headers = {};
+  if (apiKey) {
+    headers[headerName] = apiKey;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: formData,
+    signal,
+  });
+
+  const bodyText = await response.text();
+  if (!response.ok) {
+    throw new UploadError(`Batch service responded with ${response.status}`, {
+      status: response.status,
+      bodyText,
+      attemptedField: SECONDARY_FILE_FIELD,
+      retryAfter: response.headers.get('retry-after'),
+    });
+  }
+
+  let payload = {};
+  if (bodyText) {
+    try {
+      payload = JSON.parse(bodyText);
+    } catch (error) {
+      throw new UploadError('Batch response was not valid JSON', {
+        status: response.status,
+        bodyText,
+        attemptedField: SECONDARY_FILE_FIELD,
+      });
+    }
+  }
+
+  const results = Array.isArray(payload?.results) ? payload.results : [];
+  const responseErrors = Array.isArray(payload?.errors) ? payload.errors : [];
+
+  const uploadsByName = new Map();
+  for (const upload of uploads) {
+    uploadsByName.set(upload.wavFileName, {
+      upload,
+      handled: false,
+      errors: [],
+    });
+  }
+
+  const segments = [];
+  const errors = [];
+
+  for (const item of responseErrors) {
+    if (!item) {
+      continue;
+    }
+    const filename = item.filename ?? item.file ?? item.name ?? null;
+    const detail = typeof item.error === 'string'
+      ? item.error
+      : typeof item.detail === 'string'
+        ? item.detail
+        : typeof item.message === 'string'
+          ? item.message
+          : JSON.stringify(item);
+    if (filename && uploadsByName.has(filename)) {
+      uploadsByName.get(filename).errors.push(detail);
+    } else {
+      errors.push({
+        userId: null,
+        label: filename ?? 'unknown',
+        filePath: null,
+        startedAt: null,
+        reason: detail,
+      });
+    }
+  }
+
+  for (const item of results) {
+    if (!item) {
+      continue;
+    }
+    const filename = item.filename ?? item.file ?? item.name ?? null;
+    if (!filename) {
+      errors.push({
+        userId: null,
+        label: 'unknown',
+        filePath: null,
+        startedAt: null,
+        reason: 'Batch response entry was missing filename',
+      });
+      continue;
+    }
+    const target = uploadsByName.get(filename);
+    if (!target) {
+      errors.push({
+        userId: null,
+        label: filename,
+        filePath: null,
+        startedAt: null,
+        reason: 'Received transcription for unknown segment',
+      });
+      continue;
+    }
+
+    const transcription = typeof item.transcription === 'string'
+      ? item.transcription
+      : typeof item.text === 'string'
+        ? item.text
+        : '';
+
+    segments.push({
+      id: crypto.randomUUID(),
+      userId: target.upload.userId,
+      label: target.upload.label,
+      startedAt: target.upload.startedAt,
+      text: transcription.trim(),
+      audioPath: target.upload.wavPath,
+      timings: parseTimings(item),
+    });
+    target.handled = true;
+  }
+
+  for (const { upload, handled, errors: uploadErrors } of uploadsByName.values()) {
+    upload.wavBuffer = null;
+    if (!handled) {
+      const reason = uploadErrors.length
+        ? uploadErrors.join('; ')
+        : 'No transcription returned for segment';
+      errors.push({
+        userId: upload.userId,
+        label: upload.label,
+        filePath: upload.wavPath,
+        startedAt: upload.startedAt,
+        reason,
+      });
+    } else if (uploadErrors.length) {
+      errors.push({
+        userId: upload.userId,
+        label: upload.label,
+        filePath: upload.wavPath,
+        startedAt: upload.startedAt,
+        reason: uploadErrors.join('; '),
+      });
+    }
+  }
+
+  return { segments, errors };
+}
+
+async function uploadIndividually({ url, uploads, headerName, apiKey, language, pool }) {
+  if (!url) {
+    const errors = uploads.map((upload) => {
+      upload.wavBuffer = null;
+      return {
+        userId: upload.userId,
+        label: upload.label,
+        filePath: upload.wavPath,
+        startedAt: upload.startedAt,
+        reason: 'Transcription URL is not configured',
+      };
+    });
+    return { segments: [], errors };
+  }
+
+  const send = (upload, fieldName) => pool.send(
+    (signal) => sendSingleUpload({ url, upload, headerName, apiKey, language, fieldName, signal }),
+    classifyUploadFailure,
+  );
+
+  const results = await pool.map(uploads, async (upload) => {
+    try {
+      let transcription;
+      try {
+        transcription = await send(upload, PRIMARY_FILE_FIELD);
+      } catch (error) {
+        if (
+          error instanceof UploadError &&
+          error.status === 422 &&
+          error.missingField === PRIMARY_FILE_FIELD
+        ) {
+          transcription = await send(upload, SECONDARY_FILE_FIELD);
+        } else {
+          throw error;
+        }
+      }
+
+      return {
+        segment: {
+          id: crypto.randomUUID(),
+          userId: upload.userId,
+          label: upload.label,
+          startedAt: upload.startedAt,
+          text: transcription.text.trim(),
+          audioPath: upload.wavPath,
+          timings: transcription.timings,
+        },
+      };
+    } catch (error) {
+      const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+      const message = error instanceof UploadError
+        ? `Upload failed${attempts} (${error.attemptedField}): ${error.bodyText || error.message}`
+        : `Upload failed${attempts}: ${error.message}`;
+      return {
+        error: {
+          userId: upload.userId,
+          label: upload.label,
+          filePath: upload.wavPath,
+          startedAt: upload.startedAt,
+          reason: message,
+        },
+      };
+    } finally {
+      upload.wavBuffer = null;
+    }
+  });
+
+  return {
+    segments: results.filter((result) => result.segment).map((result) => result.segment),
+    errors: results.filter((result) => result.error).map((result) => result.error),
+  };
+}
+
+async function sendSingleUpload({ url, upload, headerName, apiKey, language, fieldName, signal }) {
+  if (!upload?.wavBuffer) {
+    throw new UploadError('Upload buffer was empty', {
+      status: 0,
+      bodyText: null,
+      attemptedField: fieldName,
+    });
+  }
+
+  const formData = new FormData();
+  const file = new File([upload.wavBuffer], upload.wavFileName, { type: 'audio/wav' });
+  formData.append(fieldName, file, upload.wavFileName);
+  if (language) {
+    formData.append('language', language);
+  }
+
+  const headers = {};
+  if (apiKey) {
+    headers[headerName] = apiKey;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: formData,
+    signal,
+  });
+
+  const bodyText = await response.text();
+  if (!response.ok) {
+    throw new UploadError(`Service responded with ${response.status}`, {
+      status: response.status,
+      bodyText,
+      attemptedField: fieldName,
+      retryAfter: response.headers.get('retry-after'),
+    });
+  }
+
+  const transcription = extractTranscription(bodyText);
+  if (typeof transcription.text !== 'string') {
+    throw new UploadError('Transcription response was not a string', {
+      status: response.status,
+      bodyText,
+      attemptedField: fieldName,
+    });
+  }
+
+  return transcription;
+}
+
+// Speaks the bespoke multipart protocol: a `/batch` endpoint taking every part
+// as `files`, falling back to one request per part as `file` (or `files` when
+// the service reports that field missing). The language hint, when set, is
+// sent as a `language` form field.
+class MultipartTranscriptionProvider {
+  constructor({ url, apiKey, headerName, language, upload } = {}) {
+    this.url = url?.trim() || null;
+    this.uploadConfig = upload;
+    this.batchUrl = resolveBatchUrl(this.url);
+    this.singleUrl = resolveSingleUrl(this.url);
+    this.apiKey = apiKey?.trim() || null;
+    this.headerName = headerName?.trim() || 'X-API-Key';
+    this.language = language?.trim() || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.url && this.apiKey);
+  }
+
+  async transcribe(uploads, { allowBatch = true } = {}) {
+    if (!uploads.length) {
+      return { segments: [], errors: [] };
+    }
+
+    // The batch request shows up in the pool's stats, but the server
+    // transcribes the whole session on every attempt: give it a timeout that
+    // grows with the number of parts and leave retries to the fallback.
+    const pool = new UploadPool(this.uploadConfig);
+    if (allowBatch && this.batchUrl) {
+      try {
+        const result = await pool.send((signal) => uploadBatch({
+          url: this.batchUrl,
+          uploads,
+          headerName: this.headerName,
+          apiKey: this.apiKey,
+          language: this.language,
+          signal,
+        }), classifyUploadFailure, {
+          timeoutMs: pool.config.timeoutMs * uploads.length,
+          maxRetries: 0,
+        });
+        if (result.segments.length > 0 || result.errors.length > 0) {
+          pool.stats.parts += uploads.length;
+          return { ...result, stats: pool.stats };
+        }
+      } catch (error) {
+        console.warn('Batch transcription request failed, falling back to individual uploads:', error);
+      }
+    }
+
+    const result = await uploadIndividually({
+      url: this.singleUrl || this.url,
+      uploads,
+      headerName: this.headerName,
+      apiKey: this.apiKey,
+      language: this.language,
+      pool,
+    });
+    return { ...result, stats: pool.stats };
+  }
+}
+
+module.exports = { MultipartTranscriptionProvider };
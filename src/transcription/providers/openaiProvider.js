@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { parseTimings } = require('./timings');
+const { UploadPool, normalizeUploadConfig, parseRetryAfter } = require('./uploadPool');
+
+function normalizeBaseUrl(url) {
+  if (!url) {
+    return null;
+  }
+  const trimmed = url.trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    return null;
+  }
+  // Accept the full endpoint URL as well as the API root.
+  return trimmed.replace(/\/audio\/transcriptions$/i, '');
+}
+
+const TIMESTAMP_OPTIONS_PATTERN = /verbose_json|timestamp_granularities|response_format/i;
+
+function classifyUploadFailure(error) {
+  if (error instanceof OpenAI.APIConnectionError) {
+    return { kind: 'network' };
+  }
+  if (!(error instanceof OpenAI.APIError)) {
+    return null;
+  }
+  const retryAfterMs = parseRetryAfter(error.headers?.['retry-after']);
+  if (error.status === 429) {
+    return { kind: 'rateLimited', retryAfterMs };
+  }
+  return error.status >= 500 ? { kind: 'server', retryAfterMs } : null;
+}
+
+// Talks to OpenAI's /v1/audio/transcriptions, which local servers such as
+// faster-whisper-server or whisper.cpp (with --inference-path) also implement.
+class OpenAITranscriptionProvider {
+  constructor({ url, apiKey, model, language, upload } = {}) {
+    this.baseUrl = normalizeBaseUrl(url);
+    this.apiKey = apiKey?.trim() || null;
+    this.model = model?.trim() || 'whisper-1';
+    this.language = language?.trim() || null;
+    // Cleared once the server says it does not support verbose_json, so later
+    // parts are not sent twice.
+    this.verbose = true;
+    this.uploadConfig = normalizeUploadConfig(upload);
+    this._client = null;
+
+    if (this.baseUrl) {
+      this._client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK requires one.
+        apiKey: this.apiKey || 'not-needed',
+        baseURL: this.baseUrl,
+        timeout: this.uploadConfig.timeoutMs,
+        // The SDK's own retries are off so that UploadPool can count them.
+        maxRetries: 0,
+      });
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this._client);
+  }
+
+  async transcribe(uploads) {
+    const pool = new UploadPool(this.uploadConfig);
+    const results = await pool.map(uploads, async (upload) => {
+      try {
+        if (!upload?.wavBuffer) {
+          throw new Error('Upload buffer was empty');
+        }
+
+        const response = await pool.send((signal) => this._request(upload, signal), classifyUploadFailure);
+        const text = typeof response === 'string' ? response : response?.text;
+        if (typeof text !== 'string') {
+          throw new Error('Transcription response did not include text');
+        }
+
+        return {
+          segment: {
+            id: crypto.randomUUID(),
+            userId: upload.userId,
+            label: upload.label,
+            startedAt: upload.startedAt,
+            text: text.trim(),
+            audioPath: upload.wavPath,
+            timings: parseTimings(response),
+          },
+        };
+      } catch (error) {
+        const detail = error instanceof OpenAI.APIError && error.status
+          ? `${error.status} ${error.message}`
+          : error.message;
+        const attempts = error.attempts > 1 ? ` after ${error.attempts} attempts` : '';
+        return {
+          error: {
+            userId: upload.userId,
+            label: upload.label,
+            filePath: upload.wavPath,
+            startedAt: upload.startedAt,
+            reason: `Upload failed${attempts}: ${detail}`,
+          },
+        };
+      } finally {
+        upload.wavBuffer = null;
+      }
+    });
+
+    return {
+      segments: results.filter((result) => result.segment).map((result) => result.segment),
+      errors: results.filter((result) => result.error).map((result) => result.error),
+      stats: pool.stats,
+    };
+  }
+
+  async _request(upload, signal) {
+    const create = async (verbose) => this._client.audio.transcriptions.create({
+      file: await OpenAI.toFile(upload.wavBuffer, upload.wavFileName, { type: 'audio/wav' }),
+      model: this.model,
+      ...(this.language ? { language: this.language } : {}),
+      ...(verbose
+        ? { response_format: 'verbose_json', timestamp_granularities: ['segment', 'word'] }
+        : { response_format: 'json' }),
+    }, { signal });
+
+    if (!this.verbose) {
+      return create(false);
+    }
+
+    try {
+      return await create(true);
+    } catch (error) {
+      if (!(error instanceof OpenAI.APIError) || ![400, 422].includes(error.status)) {
+        throw error;
+      }
+      // A 400 can also mean bad input (e.g. audio shorter than 0.1 s), so only
+      // a complaint about the timestamp options turns them off for good.
+      if (TIMESTAMP_OPTIONS_PATTERN.test(error.message ?? '')) {
+        console.warn(`Transcription server rejected verbose_json (${error.status}); continuing without timestamps.`);
+        this.verbose = false;
+      }
+      return create(false);
+    }
+  }
+}
+
+module.exports = { OpenAITranscriptionProvider };
@@ -0,0 +1,41 @@
+function toMs(seconds) {
+  const value = Number(seconds);
+  return Number.isFinite(value) && value >= 0 ? Math.round(value * 1000) : null;
+}
+
+function collect(entries, kind, textKey) {
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  const timings = [];
+  for (const entry of entries) {
+    const startMs = toMs(entry?.start);
+    const endMs = toMs(entry?.end);
+    const text = typeof entry?.[textKey] === 'string' ? entry[textKey].trim() : '';
+    if (startMs === null || endMs === null || endMs < startMs || !text) {
+      continue;
+    }
+    timings.push({ kind, startMs, endMs, text });
+  }
+  return timings;
+}
+
+// Reads Whisper-style `verbose_json` timing data. Offsets are seconds from the
+// start of the uploaded part and are returned as milliseconds. Word timings may
+// be top-level (OpenAI) or nested inside each segment (faster-whisper).
+function parseTimings(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  const sentences = collect(payload.segments, 'sentence', 'text');
+  let words = collect(payload.words, 'word', 'word');
+  if (!words.length && Array.isArray(payload.segments)) {
+    words = payload.segments.flatMap((segment) => collect(segment?.words, 'word', 'word'));
+  }
+
+  return [...sentences, ...words];
+}
+
+module.exports = { parseTimings };
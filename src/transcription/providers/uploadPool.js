@@ -0,0 +1,146 @@
+// Shared by the providers that send one request per part: runs a bounded
+// number of uploads at once, gives each request a timeout, and retries rate
+// limits, server errors and network failures with exponential backoff.
+
+const DEFAULT_UPLOAD_CONFIG = {
+  concurrency: 4,
+  maxRetries: 3,
+  timeoutMs: 120_000,
+  retryBaseMs: 1000,
+  retryMaxMs: 30_000,
+};
+
+// A Retry-After longer than this is treated as "not today" and the part fails.
+const MAX_RETRY_AFTER_MS = 5 * 60_000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function readInteger(value, fallback, min) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.max(min, Math.floor(number));
+}
+
+function normalizeUploadConfig(config = {}) {
+  return {
+    concurrency: readInteger(config.concurrency, DEFAULT_UPLOAD_CONFIG.concurrency, 1),
+    maxRetries: readInteger(config.maxRetries, DEFAULT_UPLOAD_CONFIG.maxRetries, 0),
+    timeoutMs: readInteger(config.timeoutMs, DEFAULT_UPLOAD_CONFIG.timeoutMs, 1000),
+    retryBaseMs: readInteger(config.retryBaseMs, DEFAULT_UPLOAD_CONFIG.retryBaseMs, 0),
+    retryMaxMs: readInteger(config.retryMaxMs, DEFAULT_UPLOAD_CONFIG.retryMaxMs, 0),
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function createUploadStats() {
+  return {
+    parts: 0,
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    serverErrors: 0,
+    networkErrors: 0,
+    timeouts: 0,
+    retryWaitMs: 0,
+  };
+}
+
+const FAILURE_STATS = {
+  rateLimited: 'rateLimited',
+  server: 'serverErrors',
+  network: 'networkErrors',
+  timeout: 'timeouts',
+};
+
+// One run of uploads. A Retry-After from any request holds back every worker,
+// since the limit is usually per API key rather than per request.
+class UploadPool {
+  constructor(config) {
+    this.config = normalizeUploadConfig(config);
+    this.stats = createUploadStats();
+    this.notBefore = 0;
+  }
+
+  // Calls `worker(item)` for every item with at most `concurrency` running,
+  // and returns their results in item order.
+  async map(items, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(this.config.concurrency, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next;
+        next += 1;
+        this.stats.parts += 1;
+        results[index] = await worker(items[index]);
+      }
+    });
+    await Promise.all(runners);
+    return results;
+  }
+
+  // Runs `send(signal)` until it succeeds, fails in a way `classify` does not
+  // recognise as temporary, or runs out of retries. `classify(error)` returns
+  // null or { kind: 'rateLimited' | 'server' | 'network', retryAfterMs }.
+  // `options` can override `timeoutMs` and `maxRetries` for this request.
+  // The error thrown last gets an `attempts` count.
+  async send(send, classify, options = {}) {
+    const { maxRetries, timeoutMs, retryBaseMs, retryMaxMs } = { ...this.config, ...options };
+    for (let attempt = 0; ; attempt += 1) {
+      const waitMs = this.notBefore - Date.now();
+      if (waitMs > 0) {
+        await delay(waitMs);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      this.stats.requests += 1;
+      let failure;
+      let lastError;
+      try {
+        return await send(controller.signal);
+      } catch (error) {
+        lastError = controller.signal.aborted ? new Error(`Request timed out after ${timeoutMs} ms`) : error;
+        failure = controller.signal.aborted ? { kind: 'timeout' } : classify(error);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (failure?.kind) {
+        this.stats[FAILURE_STATS[failure.kind]] += 1;
+      }
+      const retryAfterMs = failure?.retryAfterMs ?? null;
+      if (!failure?.kind || attempt >= maxRetries || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        if (lastError && typeof lastError === 'object') {
+          lastError.attempts = attempt + 1;
+        }
+        throw lastError;
+      }
+
+      // Full jitter keeps parallel workers from retrying in lockstep.
+      const backoffMs = Math.round(Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+      const retryInMs = retryAfterMs ?? backoffMs;
+      if (retryAfterMs !== null) {
+        this.notBefore = Math.max(this.notBefore, Date.now() + retryAfterMs);
+      }
+      this.stats.retries += 1;
+      this.stats.retryWaitMs += retryInMs;
+      await delay(retryInMs);
+    }
+  }
+}
+
+module.exports = { DEFAULT_UPLOAD_CONFIG, UploadPool, normalizeUploadConfig, parseRetryAfter };
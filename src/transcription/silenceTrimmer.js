@@ -0,0 +1,89 @@
+// Energy-based voice activity detection on 48 kHz stereo s16le PCM, used to
+// keep silence away from the ASR endpoint: Whisper-style models answer silent
+// or near-silent audio with invented text such as "Thank you.".
+
+const SAMPLE_RATE = 48_000;
+const CHANNELS = 2;
+const FRAME_BYTES = CHANNELS * 2;
+const WINDOW_MS = 20;
+const WINDOW_FRAMES = (SAMPLE_RATE * WINDOW_MS) / 1000;
+
+const DEFAULT_SILENCE_CONFIG = {
+  enabled: true,
+  // Windows quieter than this (RMS, in dB relative to full scale) are silence.
+  thresholdDb: -45,
+  // Parts with less voiced audio than this are dropped.
+  minSpeechMs: 200,
+  // Silence kept around the voiced audio so word edges are not clipped.
+  paddingMs: 200,
+};
+
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+function normalizeSilenceConfig(config = {}) {
+  return {
+    enabled: config.enabled !== false,
+    thresholdDb: Math.min(0, readNumber(config.thresholdDb, DEFAULT_SILENCE_CONFIG.thresholdDb)),
+    minSpeechMs: Math.max(0, readNumber(config.minSpeechMs, DEFAULT_SILENCE_CONFIG.minSpeechMs)),
+    paddingMs: Math.max(0, readNumber(config.paddingMs, DEFAULT_SILENCE_CONFIG.paddingMs)),
+  };
+}
+
+function toDb(rms) {
+  return rms > 0 ? 20 * Math.log10(rms / 32768) : -Infinity;
+}
+
+// Returns the PCM with leading and trailing silence cut off, and how many
+// milliseconds were cut from the start. `silent` is set (and `pcm` is null)
+// when the part does not hold enough speech to be worth uploading.
+function trimSilence(pcm, config = {}) {
+  const { enabled, thresholdDb, minSpeechMs, paddingMs } = normalizeSilenceConfig(config);
+  const totalFrames = Math.floor(pcm.length / FRAME_BYTES);
+  if (!enabled || !totalFrames) {
+    return { pcm, silent: false, leadingMs: 0, peakDb: null };
+  }
+
+  const samples = new Int16Array(pcm.buffer, pcm.byteOffset, totalFrames * CHANNELS);
+  let firstVoiced = -1;
+  let lastVoiced = -1;
+  let voicedWindows = 0;
+  let peakDb = -Infinity;
+  for (let window = 0; window * WINDOW_FRAMES < totalFrames; window += 1) {
+    const from = window * WINDOW_FRAMES;
+    const to = Math.min(from + WINDOW_FRAMES, totalFrames);
+    let sum = 0;
+    for (let frame = from; frame < to; frame += 1) {
+      const mono = (samples[frame * CHANNELS] + samples[frame * CHANNELS + 1]) / 2;
+      sum += mono * mono;
+    }
+    const db = toDb(Math.sqrt(sum / (to - from)));
+    peakDb = Math.max(peakDb, db);
+    if (db >= thresholdDb) {
+      voicedWindows += 1;
+      lastVoiced = window;
+      if (firstVoiced === -1) {
+        firstVoiced = window;
+      }
+    }
+  }
+
+  const roundedPeak = Number.isFinite(peakDb) ? Math.round(peakDb) : null;
+  if (!voicedWindows || voicedWindows * WINDOW_MS < minSpeechMs) {
+    return { pcm: null, silent: true, leadingMs: 0, peakDb: roundedPeak };
+  }
+
+  const paddingFrames = Math.round((paddingMs / 1000) * SAMPLE_RATE);
+  const startFrame = Math.max(0, firstVoiced * WINDOW_FRAMES - paddingFrames);
+  const endFrame = Math.min(totalFrames, (lastVoiced + 1) * WINDOW_FRAMES + paddingFrames);
+  return {
+    pcm: pcm.subarray(startFrame * FRAME_BYTES, endFrame * FRAME_BYTES),
+    silent: false,
+    leadingMs: Math.round((startFrame / SAMPLE_RATE) * 1000),
+    peakDb: roundedPeak,
+  };
+}
+
+module.exports = { DEFAULT_SILENCE_CONFIG, normalizeSilenceConfig, trimSilence };
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { FALLBACK_WORDS_PER_SECOND, buildTranscriptText } = require('./transcriptText');
+
+const MAX_SEGMENT_TEXT_LENGTH = 10_000;
+const MAX_LABEL_LENGTH = 100;
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function normalizeWhitespace(text) {
+  return (text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function readText(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error('"text" must be a non-empty string');
+  }
+  const text = value.trim();
+  if (text.length > MAX_SEGMENT_TEXT_LENGTH) {
+    throw new Error(`"text" can be at most ${MAX_SEGMENT_TEXT_LENGTH} characters`);
+  }
+  return text;
+}
+
+function readLabel(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`"${field}" must be a non-empty string`);
+  }
+  return value.trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+// Sentence timings are rendered instead of the segment text, so they are only
+// kept while their text still adds up to the segment's.
+function keepMatchingSentences(timings, text) {
+  const sentences = timings.filter((timing) => timing.kind === 'sentence');
+  if (!sentences.length) {
+    return timings;
+  }
+  const sentenceText = normalizeWhitespace(sentences.map((timing) => timing.text).join(' '));
+  return sentenceText === normalizeWhitespace(text)
+    ? timings
+    : timings.filter((timing) => timing.kind !== 'sentence');
+}
+
+// Milliseconds from the segment start to the first word after the split.
+function findSplitOffsetMs(segment, headText) {
+  const headWords = countWords(headText);
+  const words = segment.timings.filter((timing) => timing.kind === 'word');
+  if (words.length > headWords && words.length === countWords(segment.text)) {
+    return words[headWords].startMs;
+  }
+  const endMs = Math.max(0, ...segment.timings.map((timing) => timing.endMs));
+  if (endMs) {
+    return Math.round((endMs * headText.length) / segment.text.length);
+  }
+  return Math.round((headWords / FALLBACK_WORDS_PER_SECOND) * 1000);
+}
+
+const toRecord = (sessionId, segment) => ({
+  id: segment.id,
+  sessionId,
+  userId: segment.userId ?? null,
+  label: segment.label ?? null,
+  startedAt: segment.startedAt ?? null,
+  text: segment.text ?? '',
+  audioPath: segment.audioPath ?? null,
+  timings: segment.timings ?? [],
+});
+
+// Corrections made by people after transcription. Every change is written to
+// the transcript_edits table together with the segments as they were, so the
+// original ASR output can always be recovered.
+class TranscriptEditor {
+  constructor({ database }) {
+    this.database = database;
+  }
+
+  // Runs `plan(detail)`, which returns the segments to write and remove, and
+  // saves the result with a regenerated session transcript.
+  _apply(sessionId, action, editedBy, plan) {
+    const detail = this.database.getSessionDetail(sessionId);
+    if (!detail) {
+      return { status: 'not_found', reason: 'Session not found' };
+    }
+
+    let change;
+    try {
+      change = plan(detail);
+    } catch (error) {
+      return { status: 'invalid', reason: error.message };
+    }
+    if (change.status) {
+      return change;
+    }
+
+    const removed = new Set(change.removeSegmentIds ?? []);
+    const written = new Map(change.segments.map((segment) => [segment.id, segment]));
+    const segments = detail.segments
+      .filter((segment) => !removed.has(segment.id) && !written.has(segment.id))
+      .concat(change.segments);
+
+    const editId = this.database.saveTranscriptEdit(sessionId, {
+      action,
+      editedBy,
+      segments: change.segments.map((segment) => toRecord(sessionId, segment)),
+      removeSegmentIds: [...removed],
+      transcript: buildTranscriptText(segments, detail.pauses),
+    });
+    return { status: 'saved', editId, segments: change.segments };
+  }
+
+  // `changes` may hold `text`, and either `userId` (a participant of the
+  // session) or a free-form `label` for someone who was not in the call.
+  updateSegment(sessionId, segmentId, changes, editedBy = null) {
+    return this._apply(sessionId, 'edit', editedBy, ({ participants, segments }) => {
+      const segment = segments.find((candidate) => candidate.id === segmentId);
+      if (!segment) {
+        return { status: 'not_found', reason: 'Segment not found' };
+      }
+
+      const updated = { ...segment };
+      if (changes.text !== undefined) {
+        updated.text = readText(changes.text);
+        if (updated.text !== segment.text) {
+          // Word and sentence timings describe the old words.
+          updated.timings = [];
+        }
+      }
+      if (changes.userId !== undefined) {
+        const participant = participants.find((candidate) => candidate.userId === changes.userId);
+        if (!participant) {
+          throw new Error('"userId" must be a participant of this session');
+        }
+        updated.userId = participant.userId;
+        updated.label = participant.displayName ?? participant.userId;
+      } else if (changes.label !== undefined) {
+        updated.userId = null;
+        updated.label = readLabel(changes.label, 'label');
+      }
+
+      if (updated.text === segment.text && updated.userId === segment.userId && updated.label === segment.label) {
+        throw new Error('Nothing to change');
+      }
+      return { segments: [updated] };
+    });
+  }
+
+  // Joins consecutive segments into the first one. Timings are shifted onto
+  // the first segment's clock; the segment audio is the first one's.
+  mergeSegments(sessionId, segmentIds, editedBy = null) {
+    return this._apply(sessionId, 'merge', editedBy, ({ segments }) => {
+      const ids = new Set(segmentIds);
+      if (ids.size < 2) {
+        throw new Error('Pick at least two segments to merge');
+      }
+      const positions = segments
+        .map((segment, index) => (ids.has(segment.id) ? index : -1))
+        .filter((index) => index !== -1);
+      if (positions.length !== ids.size) {
+        return { status: 'not_found', reason: 'Segment not found' };
+      }
+      if (positions[positions.length - 1] - positions[0] !== positions.length - 1) {
+        throw new Error('Only consecutive segments can be merged');
+      }
+
+      const parts = positions.map((index) => segments[index]);
+      const [first] = parts;
+      const origin = first.startedAt ?? 0;
+      const timings = parts.flatMap((part) => {
+        const shift = (part.startedAt ?? origin) - origin;
+        return part.timings.map((timing) => ({
+          ...timing,
+          startMs: timing.startMs + shift,
+          endMs: timing.endMs + shift,
+        }));
+      });
+      const text = parts.map((part) => (part.text ?? '').trim()).filter(Boolean).join(' ');
+      const merged = { ...first, text, timings: keepMatchingSentences(timings, text) };
+      return { segments: [merged], removeSegmentIds: parts.slice(1).map((part) => part.id) };
+    });
+  }
+
+  // Splits a segment before the character at `offset`. The second half gets
+  // a new id and a start time taken from the word timings when there are
+  // any, estimated otherwise.
+  splitSegment(sessionId, segmentId, offset, editedBy = null) {
+    return this._apply(sessionId, 'split', editedBy, ({ segments }) => {
+      const segment = segments.find((candidate) => candidate.id === segmentId);
+      if (!segment) {
+        return { status: 'not_found', reason: 'Segment not found' };
+      }
+      if (!Number.isInteger(offset)) {
+        throw new Error('"offset" must be a character position in the segment text');
+      }
+
+      const text = segment.text ?? '';
+      const headText = text.slice(0, offset).trim();
+      const tailText = text.slice(offset).trim();
+      if (!headText || !tailText) {
+        throw new Error('Both parts of a split segment need some text');
+      }
+
+      const splitMs = Math.max(1, findSplitOffsetMs(segment, headText));
+      const headTimings = segment.timings.filter((timing) => timing.startMs < splitMs);
+      const tailTimings = segment.timings
+        .filter((timing) => timing.startMs >= splitMs)
+        .map((timing) => ({ ...timing, startMs: timing.startMs - splitMs, endMs: timing.endMs - splitMs }));
+
+      // The burst audio spans both halves, so neither keeps it: exports would
+      // otherwise read its full length as the duration of the first half.
+      const head = {
+        ...segment,
+        text: headText,
+        audioPath: null,
+        timings: keepMatchingSentences(headTimings, headText),
+      };
+      const tail = {
+        ...segment,
+        id: crypto.randomUUID(),
+        startedAt: (segment.startedAt ?? 0) + splitMs,
+        text: tailText,
+        audioPath: null,
+        timings: keepMatchingSentences(tailTimings, tailText),
+      };
+      return { segments: [head, tail] };
+    });
+  }
+
+  // Renames a participant everywhere in one session: the participant list,
+  // segment labels, attendance events and action item assignees.
+  renameParticipant(sessionId, userId, displayName, editedBy = null) {
+    const detail = this.database.getSessionDetail(sessionId);
+    if (!detail) {
+      return { status: 'not_found', reason: 'Session not found' };
+    }
+    const participant = detail.participants.find((candidate) => candidate.userId === userId);
+    if (!participant) {
+      return { status: 'not_found', reason: 'Participant not found' };
+    }
+
+    let name;
+    try {
+      name = readLabel(displayName, 'displayName');
+    } catch (error) {
+      return { status: 'invalid', reason: error.message };
+    }
+    if (name === participant.displayName) {
+      return { status: 'invalid', reason: 'Nothing to change' };
+    }
+
+    const segments = detail.segments.map((segment) => (segment.userId === userId ? { ...segment, label: name } : segment));
+    const editId = this.database.renameSessionParticipant(sessionId, userId, {
+      displayName: name,
+      editedBy,
+      transcript: buildTranscriptText(segments, detail.pauses),
+    });
+    return { status: 'saved', editId, participant: { ...participant, displayName: name } };
+  }
+}
+
+module.exports = { TranscriptEditor };
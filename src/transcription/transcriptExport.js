@@ -0,0 +1,341 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { FALLBACK_WORDS_PER_SECOND, describePause } = require('./transcriptText');
+
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+const WAV_HEADER_BYTES = 44;
+const MIN_CUE_MS = 1000;
+const MAX_ESTIMATED_CUE_MS = 30_000;
+
+async function readWavDurationMs(filePath) {
+  let handle;
+  try {
+    handle = await fsp.open(filePath, 'r');
+    const header = Buffer.alloc(WAV_HEADER_BYTES);
+    const { bytesRead } = await handle.read(header, 0, WAV_HEADER_BYTES, 0);
+    if (bytesRead < WAV_HEADER_BYTES
+      || header.toString('ascii', 0, 4) !== 'RIFF'
+      || header.toString('ascii', 8, 12) !== 'WAVE') {
+      return null;
+    }
+    const byteRate = header.readUInt32LE(28);
+    const { size } = await handle.stat();
+    const dataBytes = Math.max(0, size - WAV_HEADER_BYTES);
+    return byteRate ? Math.round((dataBytes / byteRate) * 1000) : null;
+  } catch (_) {
+    // The part may have been removed by the retention policy.
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+// Segment id -> duration in ms, read from the WAV parts that were uploaded for
+// transcription. Segments whose audio is gone are simply left out.
+async function resolveSegmentDurations(segments, recordingRoot) {
+  const durations = new Map();
+  if (!recordingRoot) {
+    return durations;
+  }
+  const root = path.resolve(recordingRoot);
+  for (const segment of segments) {
+    if (!segment.audioPath) {
+      continue;
+    }
+    const filePath = path.resolve(root, segment.audioPath);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      continue;
+    }
+    const duration = await readWavDurationMs(filePath);
+    if (duration) {
+      durations.set(segment.id, duration);
+    }
+  }
+  return durations;
+}
+
+// Offsets are relative to the capture start (the session id timestamp), which
+// is also where the mixdown begins, so exported cues line up with the audio.
+function getSessionOrigin(session) {
+  const idTimestamp = Number.parseInt(session.id, 10);
+  return Number.isFinite(idTimestamp) ? idTimestamp : Number(session.startedAt) || 0;
+}
+
+function estimateDurationMs(segment) {
+  const lastTiming = segment.timings?.[segment.timings.length - 1];
+  if (lastTiming?.endMs) {
+    return lastTiming.endMs;
+  }
+  const words = (segment.text || '').split(/\s+/).filter(Boolean).length;
+  return Math.min(MAX_ESTIMATED_CUE_MS, Math.max(MIN_CUE_MS, Math.round((words / FALLBACK_WORDS_PER_SECOND) * 1000)));
+}
+
+function buildCues(detail, durations) {
+  const origin = getSessionOrigin(detail.session);
+  const cues = [];
+  for (const segment of detail.segments) {
+    const text = (segment.text || '').trim();
+    if (!text) {
+      continue;
+    }
+    const startMs = Math.max(0, (Number(segment.startedAt) || origin) - origin);
+    const durationMs = durations.get(segment.id) ?? estimateDurationMs(segment);
+    const speaker = segment.label || segment.userId || 'Unknown';
+
+    // Sentence timings give much shorter cues, which subtitle players prefer.
+    const sentences = (segment.timings ?? []).filter((timing) => timing.kind === 'sentence' && timing.text?.trim());
+    if (sentences.length) {
+      for (const sentence of sentences) {
+        cues.push({
+          speaker,
+          startMs: startMs + sentence.startMs,
+          endMs: startMs + Math.max(sentence.endMs, sentence.startMs + 1),
+          text: sentence.text.trim(),
+        });
+      }
+      continue;
+    }
+    cues.push({ speaker, startMs, endMs: startMs + Math.max(durationMs, MIN_CUE_MS), text });
+  }
+  return cues.sort((a, b) => a.startMs - b.startMs);
+}
+
+function formatTimestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = String(Math.floor(total / 3_600_000)).padStart(2, '0');
+  const minutes = String(Math.floor((total % 3_600_000) / 60_000)).padStart(2, '0');
+  const seconds = String(Math.floor((total % 60_000) / 1000)).padStart(2, '0');
+  const millis = String(total % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${seconds}${separator}${millis}`;
+}
+
+function formatOffset(ms) {
+  return formatTimestamp(ms, '.').slice(0, 8);
+}
+
+function formatIsoDate(value) {
+  const date = new Date(Number(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toSrt(cues) {
+  return cues
+    .map((cue, index) => [
+      String(index + 1),
+      `${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}`,
+      `${cue.speaker}: ${cue.text}`,
+    ].join('\n'))
+    .join('\n\n')
+    .concat('\n');
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toVtt(cues) {
+  const blocks = cues.map((cue) => [
+    `${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}`,
+    `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cue.text)}`,
+  ].join('\n'));
+  return ['WEBVTT', ...blocks].join('\n\n').concat('\n');
+}
+
+function describeSession(detail) {
+  const { session, participants } = detail;
+  const lines = [];
+  if (session.guildName) {
+    lines.push(['Server', session.guildName]);
+  }
+  if (session.channelName) {
+    lines.push(['Channel', session.channelName]);
+  }
+  const startedAt = formatIsoDate(session.startedAt);
+  if (startedAt) {
+    lines.push(['Started', startedAt]);
+  }
+  const endedAt = formatIsoDate(session.endedAt);
+  if (endedAt) {
+    lines.push(['Ended', endedAt]);
+  }
+  const names = participants.map((participant) => participant.displayName || participant.userId).filter(Boolean);
+  if (names.length) {
+    lines.push(['Participants', names.join(', ')]);
+  }
+  return lines;
+}
+
+function sessionTitle(session) {
+  return `${session.guildName || 'Unknown server'} — ${session.channelName || 'Unknown channel'}`;
+}
+
+function segmentOffsetMs(segment, origin) {
+  return Math.max(0, (Number(segment.startedAt) || origin) - origin);
+}
+
+// Segments with text and the pauses, in time order.
+function listTranscriptEntries(detail) {
+  const origin = getSessionOrigin(detail.session);
+  const entries = [];
+  for (const segment of detail.segments) {
+    const text = (segment.text || '').trim();
+    if (text) {
+      const speaker = segment.label || segment.userId || 'Unknown';
+      entries.push({ offsetMs: segmentOffsetMs(segment, origin), speaker, text });
+    }
+  }
+  for (const pause of detail.pauses ?? []) {
+    entries.push({ offsetMs: Math.max(0, pause.startedAt - origin), pause: describePause(pause) });
+  }
+  // Stable, so segments keep their saved order.
+  return entries.sort((a, b) => a.offsetMs - b.offsetMs);
+}
+
+// Consecutive segments from the same speaker are grouped under one heading;
+// a pause ends the group.
+function groupBySpeaker(detail) {
+  const groups = [];
+  for (const entry of listTranscriptEntries(detail)) {
+    const last = groups[groups.length - 1];
+    if (!entry.pause && last && last.speaker === entry.speaker) {
+      last.paragraphs.push(entry.text);
+      continue;
+    }
+    groups.push(entry.pause
+      ? { pause: entry.pause, offsetMs: entry.offsetMs }
+      : { speaker: entry.speaker, offsetMs: entry.offsetMs, paragraphs: [entry.text] });
+  }
+  return groups;
+}
+
+function toMarkdown(detail) {
+  const lines = [`# ${sessionTitle(detail.session)}`, ''];
+  for (const [name, value] of describeSession(detail)) {
+    lines.push(`- **${name}:** ${value}`);
+  }
+
+  if (detail.session.summary?.trim()) {
+    lines.push('', '## Summary', '', detail.session.summary.trim());
+  }
+
+  lines.push('', '## Transcript');
+  for (const group of groupBySpeaker(detail)) {
+    if (group.pause) {
+      lines.push('', `*${group.pause} (${formatOffset(group.offsetMs)})*`);
+      continue;
+    }
+    lines.push('', `### ${group.speaker} (${formatOffset(group.offsetMs)})`, '');
+    lines.push(group.paragraphs.join('\n\n'));
+  }
+  return lines.join('\n').concat('\n');
+}
+
+function toText(detail) {
+  const lines = [sessionTitle(detail.session)];
+  for (const [name, value] of describeSession(detail)) {
+    lines.push(`${name}: ${value}`);
+  }
+
+  if (detail.session.summary?.trim()) {
+    lines.push('', 'Summary', '', detail.session.summary.trim());
+  }
+
+  lines.push('', 'Transcript', '');
+  for (const entry of listTranscriptEntries(detail)) {
+    lines.push(entry.pause
+      ? `[${formatOffset(entry.offsetMs)}] (${entry.pause})`
+      : `[${formatOffset(entry.offsetMs)}] ${entry.speaker}: ${entry.text}`);
+  }
+  return lines.join('\n').concat('\n');
+}
+
+function toJson(detail, durations) {
+  const origin = getSessionOrigin(detail.session);
+  const segments = detail.segments.map((segment) => {
+    const offsetMs = segmentOffsetMs(segment, origin);
+    return {
+      id: segment.id,
+      userId: segment.userId,
+      label: segment.label,
+      startedAt: segment.startedAt,
+      offsetMs,
+      durationMs: durations.get(segment.id) ?? null,
+      text: segment.text,
+      timings: segment.timings ?? [],
+    };
+  });
+  const { session } = detail;
+  return `${JSON.stringify({
+    session: {
+      id: session.id,
+      guildId: session.guildId,
+      guildName: session.guildName,
+      channelId: session.channelId,
+      channelName: session.channelName,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      summary: session.summary,
+      transcript: session.transcript,
+    },
+    participants: detail.participants,
+    participantEvents: detail.participantEvents ?? [],
+    pauses: (detail.pauses ?? []).map((pause) => ({ ...pause, offsetMs: Math.max(0, pause.startedAt - origin) })),
+    structuredSummary: detail.structuredSummary ?? null,
+    segments,
+  }, null, 2)}\n`;
+}
+
+function buildExportFilename(session, extension) {
+  const slug = (session.channelName || 'session')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'session';
+  const date = formatIsoDate(session.startedAt)?.slice(0, 10);
+  return `${[slug, date, session.id].filter(Boolean).join('-')}.${extension}`;
+}
+
+// Renders a session detail (as returned by the database) in one of
+// EXPORT_FORMATS. `durations` comes from resolveSegmentDurations.
+function renderExport(detail, format, durations = new Map()) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown export format "${format}"`);
+  }
+
+  let body;
+  switch (format) {
+    case 'srt':
+      body = toSrt(buildCues(detail, durations));
+      break;
+    case 'vtt':
+      body = toVtt(buildCues(detail, durations));
+      break;
+    case 'md':
+      body = toMarkdown(detail);
+      break;
+    case 'txt':
+      body = toText(detail);
+      break;
+    default:
+      body = toJson(detail, durations);
+  }
+
+  return {
+    body,
+    contentType: spec.contentType,
+    filename: buildExportFilename(detail.session, spec.extension),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderExport,
+  resolveSegmentDurations,
+};
@@ -0,0 +1,38 @@
+// The plain-text transcript saved with each session: one `Speaker: text` line
+// per segment in time order, with a marker wherever the recording was paused.
+
+// Speaking rate assumed when a segment has no timings or audio to say how long
+// its words took.
+const FALLBACK_WORDS_PER_SECOND = 2.5;
+
+function formatPauseLength(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  if (hours) {
+    return `${hours} h ${minutes} min`;
+  }
+  return minutes ? `${minutes} min` : `${totalSeconds} s`;
+}
+
+function describePause(pause) {
+  return `Recording paused for ${formatPauseLength(pause.endedAt - pause.startedAt)}`;
+}
+
+function buildTranscriptText(segments, pauses = []) {
+  const lines = [
+    ...segments.map((segment) => ({
+      at: segment.startedAt ?? 0,
+      text: `${segment.label ?? segment.userId ?? 'Unknown'}: ${segment.text ?? ''}`,
+    })),
+    ...(pauses ?? [])
+      .filter((pause) => Number.isFinite(pause.endedAt))
+      .map((pause) => ({ at: pause.startedAt, text: `[${describePause(pause)}]` })),
+  ];
+  return lines
+    .sort((a, b) => a.at - b.at)
+    .map((line) => line.text)
+    .join('\n');
+}
+
+module.exports = { FALLBACK_WORDS_PER_SECOND, buildTranscriptText, describePause };
@@ -1,6 +1,9 @@
 const path = require('path');
 const fsp = require('fs/promises');
-const crypto = require('crypto');
+const { readPcmFile } = require('../recording/audioFormats');
+const { createTranscriptionProvider } = require('./providers');
+const { buildTranscriptText } = require('./transcriptText');
+const { normalizeSilenceConfig, trimSilence } = require('./silenceTrimmer');
 
 const SOURCE_SAMPLE_RATE = 48_000;
 const SOURCE_CHANNELS = 2;
@@ -10,372 +13,6 @@ const BIT_DEPTH = 16;
 const SOURCE_FRAME_BYTES = SOURCE_CHANNELS * (BIT_DEPTH / 8);
 const MIN_SPLIT_PADDING_MS = 50;
 const MIN_PART_DURATION_MS = 80;
-const PRIMARY_FILE_FIELD = 'file';
-const SECONDARY_FILE_FIELD = 'files';
-
-function resolveSingleUrl(url) {
-  if (!url) {
-    return null;
-  }
-  const trimmed = url.trim().replace(/\/+$/, '');
-  if (trimmed.endsWith('/batch')) {
-    return trimmed.slice(0, -'/batch'.length) || null;
-  }
-  return trimmed || null;
-}
-
-function resolveBatchUrl(url) {
-  if (!url) {
-    return null;
-  }
-  const trimmed = url.trim().replace(/\/+$/, '');
-  if (!trimmed) {
-    return null;
-  }
-  if (trimmed.endsWith('/batch')) {
-    return trimmed;
-  }
-  return `${trimmed}/batch`;
-}
-
-function extractTranscription(bodyText) {
-  if (!bodyText) {
-    return '';
-  }
-
-  try {
-    const parsed = JSON.parse(bodyText);
-    if (typeof parsed === 'string') {
-      return parsed;
-    }
-    if (parsed && typeof parsed.transcription === 'string') {
-      return parsed.transcription;
-    }
-    if (parsed && typeof parsed.text === 'string') {
-      return parsed.text;
-    }
-  } catch (_) {
-    // Treat non-JSON bodies as plain text responses.
-  }
-
-  return bodyText.replace(/^"|"$/g, '').trim();
-}
-
-function parseMissingField(bodyText) {
-  if (!bodyText) {
-    return null;
-  }
-
-  try {
-    const parsed = JSON.parse(bodyText);
-    const details = Array.isArray(parsed?.detail) ? parsed.detail : [];
-    for (const item of details) {
-      if (!item?.loc) {
-        continue;
-      }
-      const path = Array.isArray(item.loc) ? item.loc : [];
-      if (path.length >= 2 && path[0] === 'body' && typeof path[1] === 'string') {
-        return path[1];
-      }
-    }
-  } catch (_) {
-    // Ignore JSON parse failures; fallback to null.
-  }
-
-  return null;
-}
-
-class UploadError extends Error {
-  constructor(message, { status, bodyText, attemptedField }) {
-    super(message);
-    this.name = 'UploadError';
-    this.status = status;
-    this.bodyText = bodyText;
-    this.attemptedField = attemptedField;
-    this.missingField = parseMissingField(bodyText);
-  }
-}
-
-async function uploadBatch({ url, uploads, headerName, apiKey }) {
-  if (!url) {
-    throw new Error('Batch endpoint URL is not configured');
-  }
-  if (!uploads.length) {
-    return { segments: [], errors: [] };
-  }
-
-  const formData = new FormData();
-  for (const upload of uploads) {
-    if (!upload?.wavBuffer) {
-      continue;
-    }
-    const file = new File([upload.wavBuffer], upload.wavFileName, { type: 'audio/wav' });
-    formData.append(SECONDARY_FILE_FIELD, file, upload.wavFileName);
-  }
-
-  const headers = {};
-  if (apiKey) {
-    headers[headerName] = apiKey;
-  }
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers,
-    body: formData,
-  });
-
-  const bodyText = await response.text();
-  if (!response.ok) {
-    throw new UploadError(`Batch service responded with ${response.status}`, {
-      status: response.status,
-      bodyText,
-      attemptedField: SECONDARY_FILE_FIELD,
-    });
-  }
-
-  let payload = {};
-  if (bodyText) {
-    try {
-      payload = JSON.parse(bodyText);
-    } catch (error) {
-      throw new UploadError('Batch response was not valid JSON', {
-        status: response.status,
-        bodyText,
-        attemptedField: SECONDARY_FILE_FIELD,
-      });
-    }
-  }
-
-  const results = Array.isArray(payload?.results) ? payload.results : [];
-  const responseErrors = Array.isArray(payload?.errors) ? payload.errors : [];
-
-  const uploadsByName = new Map();
-  for (const upload of uploads) {
-    uploadsByName.set(upload.wavFileName, {
-      upload,
-      handled: false,
-      errors: [],
-    });
-  }
-
-  const segments = [];
-  const errors = [];
-
-  for (const item of responseErrors) {
-    if (!item) {
-      continue;
-    }
-    const filename = item.filename ?? item.file ?? item.name ?? null;
-    const detail = typeof item.error === 'string'
-      ? item.error
-      : typeof item.detail === 'string'
-        ? item.detail
-        : typeof item.message === 'string'
-          ? item.message
-          : JSON.stringify(item);
-    if (filename && uploadsByName.has(filename)) {
-      uploadsByName.get(filename).errors.push(detail);
-    } else {
-      errors.push({
-        userId: null,
-        label: filename ?? 'unknown',
-        filePath: null,
-        startedAt: null,
-        reason: detail,
-      });
-    }
-  }
-
-  for (const item of results) {
-    if (!item) {
-      continue;
-    }
-    const filename = item.filename ?? item.file ?? item.name ?? null;
-    if (!filename) {
-      errors.push({
-        userId: null,
-        label: 'unknown',
-        filePath: null,
-        startedAt: null,
-        reason: 'Batch response entry was missing filename',
-      });
-      continue;
-    }
-    const target = uploadsByName.get(filename);
-    if (!target) {
-      errors.push({
-        userId: null,
-        label: filename,
-        filePath: null,
-        startedAt: null,
-        reason: 'Received transcription for unknown segment',
-      });
-      continue;
-    }
-
-    const transcription = typeof item.transcription === 'string'
-      ? item.transcription
-      : typeof item.text === 'string'
-        ? item.text
-        : '';
-
-    segments.push({
-      id: crypto.randomUUID(),
-      userId: target.upload.userId,
-      label: target.upload.label,
-      startedAt: target.upload.startedAt,
-      text: transcription.trim(),
-      audioPath: target.upload.wavPath,
-    });
-    target.handled = true;
-  }
-
-  for (const { upload, handled, errors: uploadErrors } of uploadsByName.values()) {
-    upload.wavBuffer = null;
-    if (!handled) {
-      const reason = uploadErrors.length
-        ? uploadErrors.join('; ')
-        : 'No transcription returned for segment';
-      errors.push({
-        userId: upload.userId,
-        label: upload.label,
-        filePath: upload.wavPath,
-        startedAt: upload.startedAt,
-        reason,
-      });
-    } else if (uploadErrors.length) {
-      errors.push({
-        userId: upload.userId,
-        label: upload.label,
-        filePath: upload.wavPath,
-        startedAt: upload.startedAt,
-        reason: uploadErrors.join('; '),
-      });
-    }
-  }
-
-  return { segments, errors };
-}
-
-async function uploadIndividually({ url, uploads, headerName, apiKey }) {
-  if (!url) {
-    const errors = uploads.map((upload) => {
-      upload.wavBuffer = null;
-      return {
-        userId: upload.userId,
-        label: upload.label,
-        filePath: upload.wavPath,
-        startedAt: upload.startedAt,
-        reason: 'Transcription URL is not configured',
-      };
-    });
-    return { segments: [], errors };
-  }
-
-  const segments = [];
-  const errors = [];
-
-  for (const upload of uploads) {
-    const originalBuffer = upload.wavBuffer;
-    try {
-      let transcription;
-      try {
-        transcription = await sendSingleUpload({
-          url,
-          upload,
-          headerName,
-          apiKey,
-          fieldName: PRIMARY_FILE_FIELD,
-        });
-      } catch (error) {
-        if (
-          error instanceof UploadError &&
-          error.status === 422 &&
-          error.missingField === PRIMARY_FILE_FIELD
-        ) {
-          transcription = await sendSingleUpload({
-            url,
-            upload: { ...upload, wavBuffer: originalBuffer },
-            headerName,
-            apiKey,
-            fieldName: SECONDARY_FILE_FIELD,
-          });
-        } else {
-          throw error;
-        }
-      }
-
-      segments.push({
-        id: crypto.randomUUID(),
-        userId: upload.userId,
-        label: upload.label,
-        startedAt: upload.startedAt,
-        text: transcription.trim(),
-        audioPath: upload.wavPath,
-      });
-    } catch (error) {
-      const message = error instanceof UploadError
-        ? `Upload failed (${error.attemptedField}): ${error.bodyText || error.message}`
-        : `Upload failed: ${error.message}`;
-      errors.push({
-        userId: upload.userId,
-        label: upload.label,
-        filePath: upload.wavPath,
-        startedAt: upload.startedAt,
-        reason: message,
-      });
-    } finally {
-      upload.wavBuffer = null;
-    }
-  }
-
-  return { segments, errors };
-}
-
-async function sendSingleUpload({ url, upload, headerName, apiKey, fieldName }) {
-  if (!upload?.wavBuffer) {
-    throw new UploadError('Upload buffer was empty', {
-      status: 0,
-      bodyText: null,
-      attemptedField: fieldName,
-    });
-  }
-
-  const formData = new FormData();
-  const file = new File([upload.wavBuffer], upload.wavFileName, { type: 'audio/wav' });
-  formData.append(fieldName, file, upload.wavFileName);
-
-  const headers = {};
-  if (apiKey) {
-    headers[headerName] = apiKey;
-  }
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers,
-    body: formData,
-  });
-
-  const bodyText = await response.text();
-  if (!response.ok) {
-    throw new UploadError(`Service responded with ${response.status}`, {
-      status: response.status,
-      bodyText,
-      attemptedField: fieldName,
-    });
-  }
-
-  const transcription = extractTranscription(bodyText);
-  if (typeof transcription !== 'string') {
-    throw new UploadError('Transcription response was not a string', {
-      status: response.status,
-      bodyText,
-      attemptedField: fieldName,
-    });
-  }
-
-  return transcription;
-}
 
 function createWavHeader(dataLength, { sampleRate, channels, bitDepth }) {
   const buffer = Buffer.alloc(44);
@@ -461,16 +98,65 @@ async function writeWavFromPcm(pcmBuffer, wavPath) {
 }
 
 class TranscriptionClient {
-  constructor({ url, apiKey, headerName } = {}) {
-    this.url = url?.trim() || null;
-    this.batchUrl = resolveBatchUrl(this.url);
-    this.singleUrl = resolveSingleUrl(this.url);
-    this.apiKey = apiKey?.trim() || null;
-    this.headerName = headerName?.trim() || 'X-API-Key';
+  constructor(config = {}) {
+    this.provider = createTranscriptionProvider(config);
+    this.silence = normalizeSilenceConfig(config.silence);
   }
 
   isConfigured() {
-    return Boolean(this.url && this.apiKey);
+    return this.provider.isConfigured();
+  }
+
+  async transcribeBurst({ userId, label, filePath, startedAt }) {
+    if (!this.isConfigured()) {
+      return { status: 'skipped', reason: 'Missing transcription endpoint configuration' };
+    }
+    if (!filePath) {
+      return { status: 'failed', reason: 'Burst was missing a file path' };
+    }
+
+    const absolutePath = path.resolve(filePath);
+    let pcmData;
+    try {
+      pcmData = await readPcmFile(absolutePath);
+    } catch (error) {
+      return { status: 'failed', reason: `Failed to load PCM data: ${error.message}` };
+    }
+
+    if (!pcmData.length || pcmData.length % SOURCE_FRAME_BYTES !== 0) {
+      return { status: 'skipped', reason: `Unexpected PCM byte length: ${pcmData.length}` };
+    }
+
+    const trimmed = trimSilence(pcmData, this.silence);
+    if (trimmed.silent) {
+      return { status: 'skipped', reason: 'No speech detected in burst' };
+    }
+
+    const partStartedAt = (Number.isFinite(startedAt) ? startedAt : 0) + trimmed.leadingMs;
+    const wavFileName = `${path.basename(absolutePath, path.extname(absolutePath))}_${partStartedAt}_live.wav`;
+    const wavPath = path.join(path.dirname(absolutePath), 'segments', wavFileName);
+
+    let wavBuffer;
+    try {
+      wavBuffer = await writeWavFromPcm(trimmed.pcm, wavPath);
+    } catch (error) {
+      return { status: 'failed', reason: `Failed to convert PCM: ${error.message}` };
+    }
+
+    const { segments, errors } = await this.provider.transcribe([{
+      userId,
+      label: label ?? userId,
+      startedAt: partStartedAt,
+      wavPath,
+      wavFileName,
+      wavBuffer,
+    }], { allowBatch: false });
+
+    if (!segments.length) {
+      return { status: 'failed', reason: errors[0]?.reason ?? 'No transcription returned for burst' };
+    }
+
+    return { status: 'sent', segment: segments[0] };
   }
 
   async submit(manifest) {
@@ -558,18 +244,33 @@ class TranscriptionClient {
           continue;
         }
 
-        if (stats.size % SOURCE_FRAME_BYTES !== 0) {
+        // Ogg/Opus bursts are decoded here, so sizes below are decoded PCM bytes.
+        let pcmData;
+        try {
+          pcmData = await readPcmFile(absolutePath);
+        } catch (error) {
           errors.push({
             userId,
             label,
             filePath: absolutePath,
             startedAt,
-            reason: `Unexpected PCM byte length: ${stats.size}`,
+            reason: `Failed to load PCM data: ${error.message}`,
           });
           continue;
         }
 
-        const sampleFrames = stats.size / SOURCE_FRAME_BYTES;
+        if (!pcmData.length || pcmData.length % SOURCE_FRAME_BYTES !== 0) {
+          errors.push({
+            userId,
+            label,
+            filePath: absolutePath,
+            startedAt,
+            reason: `Unexpected PCM byte length: ${pcmData.length}`,
+          });
+          continue;
+        }
+
+        const sampleFrames = pcmData.length / SOURCE_FRAME_BYTES;
         const durationMs = (sampleFrames / SOURCE_SAMPLE_RATE) * 1000;
         const segmentEnd = startedAt + durationMs;
 
@@ -600,20 +301,6 @@ class TranscriptionClient {
 
         const splitTimes = Array.from(splitSet).sort((a, b) => a - b);
 
-        let pcmData;
-        try {
-          pcmData = await fsp.readFile(absolutePath);
-        } catch (error) {
-          errors.push({
-            userId,
-            label,
-            filePath: absolutePath,
-            startedAt,
-            reason: `Failed to load PCM data: ${error.message}`,
-          });
-          continue;
-        }
-
         const boundaries = [...splitTimes, segmentEnd];
         let previousSample = 0;
         let previousTime = startedAt;
@@ -655,21 +342,37 @@ class TranscriptionClient {
             }
           }
 
+          // Silent parts are listed with the errors (marked `discarded`) so
+          // the job result shows what was left out; the rest is trimmed to
+          // the voiced audio, which also drops the receiver's silence tail.
+          const trimmed = trimSilence(partBuffer, this.silence);
+          if (trimmed.silent) {
+            errors.push({
+              userId,
+              label,
+              filePath: absolutePath,
+              startedAt: Math.round(partStartTime),
+              discarded: true,
+              reason: `No speech detected (loudest ${trimmed.peakDb ?? '-inf'} dBFS)`,
+            });
+            continue;
+          }
+
           partIndex += 1;
 
           const isOverlapSplit = splitTimes.some((time) => Math.abs(time - partStartTime) < 0.5);
           const adjustedStart = Number.isFinite(partStartTime)
             ? partStartTime + (isOverlapSplit ? 1 : 0)
             : 0;
-          const partStartedAt = Number.isFinite(adjustedStart) ? Math.round(adjustedStart) : 0;
+          const partStartedAt = (Number.isFinite(adjustedStart) ? Math.round(adjustedStart) : 0) + trimmed.leadingMs;
           const wavDir = path.join(path.dirname(absolutePath), 'segments');
-          const baseName = path.basename(absolutePath, '.pcm');
+          const baseName = path.basename(absolutePath, path.extname(absolutePath));
           const wavFileName = `${baseName}_${partStartedAt}_${partIndex}.wav`;
           const wavPath = path.join(wavDir, wavFileName);
 
           let wavBuffer;
           try {
-            wavBuffer = await writeWavFromPcm(partBuffer, wavPath);
+            wavBuffer = await writeWavFromPcm(trimmed.pcm, wavPath);
           } catch (error) {
             errors.push({
               userId,
@@ -693,68 +396,19 @@ class TranscriptionClient {
       }
     }
 
-    const sendUpload = async (upload, fieldName) => {
-      const formData = new FormData();
-      const file = new File([upload.wavBuffer], upload.wavFileName, { type: 'audio/wav' });
-      formData.append(fieldName, file, upload.wavFileName);
-
-      const response = await fetch(this.url, {
-        method: 'POST',
-        headers: {
-          [this.headerName]: this.apiKey,
-        },
-        body: formData,
-      });
-
-      const bodyText = await response.text();
-      if (!response.ok) {
-        throw new UploadError(`Service responded with ${response.status}`, {
-          status: response.status,
-          bodyText,
-          attemptedField: fieldName,
-        });
-      }
-
-      const transcription = extractTranscription(bodyText);
-      if (typeof transcription !== 'string') {
-        throw new UploadError('Transcription response was not a string', {
-          status: response.status,
-          bodyText,
-          attemptedField: fieldName,
-        });
-      }
-
-      return transcription;
-    };
-
+    let uploadStats;
     if (pendingUploads.length) {
-      let batchHandled = false;
-      if (this.batchUrl) {
-        try {
-          const { segments: batchSegments, errors: batchErrors } = await uploadBatch({
-            url: this.batchUrl,
-            uploads: pendingUploads,
-            headerName: this.headerName,
-            apiKey: this.apiKey,
-          });
-          segments.push(...batchSegments);
-          errors.push(...batchErrors);
-          batchHandled = batchSegments.length > 0 || batchErrors.length > 0;
-        } catch (error) {
-          console.warn('Batch transcription request failed, falling back to individual uploads:', error);
-        }
+      const result = await this.provider.transcribe(pendingUploads);
+      segments.push(...result.segments);
+      errors.push(...result.errors);
+      uploadStats = result.stats;
+      if (uploadStats?.retries) {
+        console.log(`Transcription needed ${uploadStats.retries} retry(ies) for ${uploadStats.parts} part(s):`, uploadStats);
       }
+    }
 
-      if (!batchHandled) {
-        const { segments: singleSegments, errors: singleErrors } = await uploadIndividually({
-          url: this.singleUrl || this.url,
-          uploads: pendingUploads,
-          headerName: this.headerName,
-          apiKey: this.apiKey,
-        });
-        segments.push(...singleSegments);
-        errors.push(...singleErrors);
-      }
+    if (!segments.length && errors.length && errors.every((error) => error.discarded)) {
+      return { status: 'silent', reason: 'No speech detected in the recording', data: { errors } };
     }
 
     if (!segments.length) {
@@ -770,9 +424,7 @@ class TranscriptionClient {
       return at - bt;
     });
 
-    const transcript = segments
-      .map((segment) => `${segment.label}: ${segment.text}`)
-      .join('\n');
+    const transcript = buildTranscriptText(segments, manifest.pauses);
 
     return {
       status: 'sent',
@@ -780,6 +432,7 @@ class TranscriptionClient {
         transcript,
         segments,
         errors: errors.length ? errors : undefined,
+        uploadStats,
       },
     };
   }